@@ -0,0 +1,559 @@
+import { loadConfig as loadConfigSource, selectDatabases } from './config.js';
+import { getDatabaseDriver, getBackupExtension, describeDatabaseHost } from './drivers.js';
+import { saveStorageFile } from './storage/index.js';
+import { getNotifications, sendNotifications } from './notifications/index.js';
+import { generateBackupFilename } from './backup-files.js';
+import { restoreDatabase } from './restore.js';
+import { verifyBackup } from './verify.js';
+import { encryptFile, ENCRYPTED_EXTENSION } from './encryption.js';
+import { writeManifest, getManifestName } from './manifest.js';
+import { rotateBackups } from './retention.js';
+import { runWithConcurrency } from './concurrency.js';
+import { runWithPrefix, runWithLogContext, runWithEventHandler, logger } from './output.js';
+import { streamToStorages } from './streaming.js';
+import { getInventory, matchesStorageFilter } from './inventory.js';
+import { recordBackupResults } from './metrics.js';
+import { expandDatabases, findDiscoveredEntry } from './discovery.js';
+import { runHooks } from './hooks.js';
+import { ConfigError, RestoreError } from './errors.js';
+import fs from 'fs';
+import path from 'path';
+
+export { generateBackupFilename };
+export { LunasdbError, ConfigError, RestoreError } from './errors.js';
+
+/**
+ * Encrypt a backup into its own temp directory, keeping the original file name
+ */
+async function encryptBackup(backupPath, encryption) {
+  const encryptedDir = fs.mkdtempSync(path.join(path.dirname(backupPath), 'encrypted-'));
+  const encryptedPath = path.join(encryptedDir, `${path.basename(backupPath)}${ENCRYPTED_EXTENSION}`);
+
+  console.log(`Encrypting backup: ${path.basename(encryptedPath)}`);
+  try {
+    await encryptFile(backupPath, encryptedPath, encryption);
+  } catch (error) {
+    fs.rmSync(encryptedDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  return encryptedPath;
+}
+
+/**
+ * Remove the temp backup file, its manifest and the encrypted copies
+ */
+async function cleanupTempFiles(backupPath, encryptedPaths) {
+  for (const file of [backupPath, getManifestName(backupPath)]) {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  }
+
+  for (const encryption of encryptedPaths.values()) {
+    const encryptedPath = await encryption.catch(() => null);
+    if (encryptedPath) {
+      fs.rmSync(path.dirname(encryptedPath), { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Save a dumped backup file to every storage destination, sequentially or all at once
+ * Returns { storages, storageErrors }
+ */
+async function saveToStorages(name, config, backupPath, details, encryptedPaths, options) {
+  // Manifests (promises of their paths), keyed by the path of the stored file
+  const manifests = new Map();
+
+  /**
+   * Save the backup to a single storage destination and rotate it
+   */
+  const saveToStorage = async (storageConfig) => {
+    let storagePath;
+    // Create a temporary config with single storage for backward compatibility
+    const storageSpecificConfig = { ...config, storage: storageConfig };
+
+    // Storage-level encryption overrides the database one (`false` disables it)
+    const encryption = storageConfig.encryption !== undefined ? storageConfig.encryption : config.encryption;
+    let storageFilePath = backupPath;
+    if (encryption) {
+      if (!encryptedPaths.has(encryption)) {
+        encryptedPaths.set(encryption, encryptBackup(backupPath, encryption));
+      }
+      storageFilePath = await encryptedPaths.get(encryption);
+    }
+
+    // Checksum manifest of the exact file being stored, written once per file
+    if (!manifests.has(storageFilePath)) {
+      manifests.set(storageFilePath, writeManifest(storageFilePath, {
+        name,
+        config,
+        ...details,
+        encrypted: Boolean(encryption)
+      }));
+    }
+    const manifestPath = await manifests.get(storageFilePath);
+
+    storagePath = await runWithLogContext({ phase: 'upload' }, () => saveStorageFile(storageFilePath, storageSpecificConfig, manifestPath));
+
+    // Perform rotation - delete old backups according to the retention policy
+    await runWithLogContext({ phase: 'rotate' }, () => rotateBackups(name, storageSpecificConfig));
+
+    return storagePath;
+  };
+
+  const storages = [];
+  const storageErrors = [];
+
+  const attempts = [];
+  for (const [index, storageConfig] of config.storage.entries()) {
+    if (options.signal && options.signal.aborted) {
+      throw new Error('Backup aborted');
+    }
+
+    const attempt = runWithLogContext({ storage: storageConfig.type }, () => saveToStorage(storageConfig).then(
+      storagePath => ({ type: storageConfig.type, index, path: storagePath, success: true }),
+      error => {
+        console.error(`  [${storageConfig.type}] Storage failed: ${error.message}`);
+        return { type: storageConfig.type, index, error: error.message, success: false };
+      }
+    ));
+
+    if (!options.parallelStorage) {
+      await attempt;
+    }
+    attempts.push(attempt);
+  }
+
+  for (const attempt of await Promise.all(attempts)) {
+    if (attempt.success) {
+      storages.push(attempt);
+    } else {
+      storageErrors.push(attempt);
+    }
+  }
+
+  return { storages, storageErrors };
+}
+
+/**
+ * Run the postBackup hooks, then the onSuccess or onFailure ones, of a finished backup
+ * Their failures are reported in the result, they never change its outcome
+ */
+async function runCompletionHooks(name, config, filename, result) {
+  const hooks = config.hooks || {};
+  const warnings = result.storageErrors && result.storageErrors.length > 0;
+  const env = {
+    LUNASDB_DATABASE: name,
+    LUNASDB_TYPE: config.type,
+    LUNASDB_FILE: filename || '',
+    LUNASDB_STATUS: !result.success ? 'failure' : warnings ? 'warning' : 'success',
+    LUNASDB_STORAGE_PATHS: result.storages.map(storage => storage.path).join('\n'),
+    LUNASDB_SIZE: result.size !== undefined ? String(result.size) : '',
+    LUNASDB_DURATION_MS: String(result.duration),
+    LUNASDB_ERROR: result.error || ''
+  };
+
+  const runs = [];
+  for (const event of ['postBackup', result.success ? 'onSuccess' : 'onFailure']) {
+    runs.push(...await runHooks(event, hooks, env));
+  }
+
+  return runs;
+}
+
+/**
+ * Perform backup for a single database
+ * An AbortSignal can be passed in options to abort the backup (daemon shutdown)
+ * Resolves with the result of the backup, failures included: { name, type, success, storages,
+ * storageErrors, size, verification, error, duration, hooks }
+ */
+export async function backupDatabase(name, config, options = {}) {
+  const storageTypes = config.storage.map(s => s.type).join('+');
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`Starting backup: ${name}`);
+  console.log(`Database: ${config.database} (${config.type})`);
+  console.log(`Host: ${describeDatabaseHost(config)}`);
+  console.log(`Storage: ${storageTypes} (${config.storage.length} destination${config.storage.length > 1 ? 's' : ''})${config.streaming ? ' - streaming' : ''}`);
+  console.log(`${'='.repeat(60)}\n`);
+
+  const startTime = Date.now();
+  let backupPath = null;
+  let verification = null;
+  // Encrypted copies of the backup (promises of their paths), keyed by encryption configuration
+  const encryptedPaths = new Map();
+  let filename = null;
+  // Results of the hook commands run for this backup
+  const hookRuns = [];
+
+  /**
+   * Add the completion hooks, and the results of every hook run, to the result of the backup
+   */
+  const finish = async (result) => {
+    hookRuns.push(...await runCompletionHooks(name, config, filename, result));
+    return { ...result, hooks: hookRuns };
+  };
+
+  try {
+    // Generate backup filename
+    const driver = getDatabaseDriver(config.type);
+    filename = generateBackupFilename(name, getBackupExtension(config));
+
+    // A failing preBackup hook aborts the backup
+    const preBackup = await runHooks('preBackup', config.hooks || {}, {
+      LUNASDB_DATABASE: name,
+      LUNASDB_TYPE: config.type,
+      LUNASDB_FILE: filename
+    }, { signal: options.signal });
+    hookRuns.push(...preBackup);
+    const failedHook = preBackup.find(run => !run.success);
+    if (failedHook) {
+      throw new Error(`preBackup hook failed: ${failedHook.error}`);
+    }
+
+    const startedAt = new Date().toISOString();
+
+    let result;
+    let storages;
+    let storageErrors;
+
+    if (config.streaming) {
+      // Stream the dump straight to every storage destination, without a temp file
+      ({ result, storages, storageErrors } = await streamToStorages(name, config, filename, {
+        startedAt,
+        dump: (stream) => runWithLogContext({ phase: 'dump' }, () => driver.backup(name, config, null, { signal: options.signal, stream }))
+      }));
+    } else {
+      // Create temp directory for backups
+      const tempDir = '/tmp/backups';
+      if (!fs.existsSync(tempDir)) {
+        fs.mkdirSync(tempDir, { recursive: true });
+      }
+
+      backupPath = path.join(tempDir, filename);
+
+      // Dump the database with the driver of its type
+      result = await runWithLogContext({ phase: 'dump' }, () => driver.backup(name, config, backupPath, { signal: options.signal }));
+
+      const completedAt = new Date().toISOString();
+
+      // Prove the backup is restorable before it replaces older ones in storage
+      if (config.verify && !(options.signal && options.signal.aborted)) {
+        verification = await runWithLogContext({ phase: 'verify' }, () => verifyBackup(name, config, backupPath));
+        if (!verification.success) {
+          throw new Error(`Backup verification failed: ${verification.error}`);
+        }
+      }
+
+      // Save to each storage destination
+      ({ storages, storageErrors } = await saveToStorages(
+        name,
+        config,
+        backupPath,
+        { dump: result, startedAt, completedAt },
+        encryptedPaths,
+        options
+      ));
+
+      // Clean up temp files after all storage attempts
+      await cleanupTempFiles(backupPath, encryptedPaths);
+    }
+
+    const duration = Date.now() - startTime;
+
+    // Determine overall success: at least one storage succeeded (lenient mode)
+    const success = storages.length > 0;
+
+    if (success) {
+      const symbol = storageErrors.length > 0 ? '⚠' : '✓';
+      const status = storageErrors.length > 0
+        ? `completed with warnings (${storages.length}/${config.storage.length} storages succeeded)`
+        : 'completed successfully';
+
+      logger[storageErrors.length > 0 ? 'warn' : 'info'](`\n${symbol} Backup ${status} for: ${name}`, { durationMs: duration, bytes: result.size });
+      for (const storage of storages) {
+        logger.info(`  → ${storage.type}: ${storage.path}`, { storage: storage.type, path: storage.path });
+      }
+      for (const error of storageErrors) {
+        logger.warn(`  ✗ ${error.type}: ${error.error}`, { storage: error.type, error: error.error });
+      }
+      if (verification) {
+        console.log(`  Verified: ${verification.tableCount} table(s) restored in ${(verification.duration / 1000).toFixed(2)}s`);
+      }
+      console.log(`  Duration: ${(duration / 1000).toFixed(2)}s`);
+    } else {
+      throw new Error(`All storage destinations failed (${storageErrors.length} errors)`);
+    }
+
+    return finish({
+      name,
+      type: config.type,
+      success,
+      storages,
+      storageErrors,
+      size: result.size,
+      verification,
+      duration
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+
+    // Clean up temp files if the backup failed before storage
+    if (backupPath) {
+      await cleanupTempFiles(backupPath, encryptedPaths);
+    }
+
+    logger.error(`\n✗ Backup failed for: ${name}`, { durationMs: duration, error: error.message });
+    console.error(`  Error: ${error.message}`);
+    console.error(`  Duration: ${(duration / 1000).toFixed(2)}s`);
+
+    return finish({
+      name,
+      type: config.type,
+      success: false,
+      storages: [],
+      storageErrors: [],
+      verification,
+      error: error.message,
+      duration
+    });
+  }
+}
+
+/**
+ * Format the backup summary of a run, as printed by the CLI and sent in notifications
+ */
+export function formatBackupSummary(results, skipped = []) {
+  const successful = results.filter(r => r.success).length;
+  const failed = results.filter(r => !r.success).length;
+  const totalDuration = results.reduce((sum, r) => sum + (r.duration || 0), 0);
+
+  let summaryText = '='.repeat(60) + '\n';
+  summaryText += 'BACKUP SUMMARY\n';
+  summaryText += '='.repeat(60) + '\n';
+  summaryText += `Total: ${results.length} | Success: ${successful} | Failed: ${failed} | Skipped: ${skipped.length}\n`;
+  summaryText += `Total duration: ${(totalDuration / 1000).toFixed(2)}s\n\n`;
+
+  for (const result of results) {
+    if (result.success) {
+      const sizeMB = (result.size / (1024 * 1024)).toFixed(2);
+      const durationSec = (result.duration / 1000).toFixed(2);
+      const symbol = result.storageErrors && result.storageErrors.length > 0 ? '⚠' : '✓';
+      summaryText += `${symbol} ${result.name} - ${sizeMB} MB - ${durationSec}s\n`;
+
+      // Add detailed storage info to summary text
+      if (result.storages && result.storages.length > 0) {
+        for (const storage of result.storages) {
+          summaryText += `  → ${storage.type}: ${storage.path}\n`;
+        }
+      }
+      if (result.storageErrors && result.storageErrors.length > 0) {
+        for (const error of result.storageErrors) {
+          summaryText += `  ✗ ${error.type}: ${error.error}\n`;
+        }
+      }
+      if (result.verification) {
+        summaryText += `  ✓ verified: ${result.verification.tableCount} table(s)\n`;
+      }
+    } else {
+      const durationSec = (result.duration / 1000).toFixed(2);
+      summaryText += `✗ ${result.name} - ${result.error} - ${durationSec}s\n`;
+    }
+
+    // A failed preBackup hook is already the error of the backup
+    for (const hook of (result.hooks || []).filter(run => !run.success && run.event !== 'preBackup')) {
+      summaryText += `  ⚠ ${hook.event} hook: ${hook.error}\n`;
+    }
+  }
+
+  for (const name of skipped) {
+    summaryText += `⊗ ${name} - SKIPPED\n`;
+  }
+
+  summaryText += '='.repeat(60);
+
+  return summaryText;
+}
+
+/**
+ * Record the results of a run in the metrics and send the notifications
+ * `skipped` lists the names of the disabled databases
+ * Returns the number of required notifications that could not be delivered
+ */
+export async function notifyResults(config, results, skipped = []) {
+  // Update the Prometheus metrics (textfile and /metrics endpoint) if configured
+  recordBackupResults(config, results);
+
+  // Send notifications if configured
+  const notifications = getNotifications(config);
+  if (notifications.length === 0) {
+    return 0;
+  }
+
+  const successful = results.filter(r => r.success).length;
+  const failed = results.filter(r => !r.success).length;
+  const totalDuration = results.reduce((sum, r) => sum + (r.duration || 0), 0);
+  const hasWarnings = results.some(r => r.storageErrors && r.storageErrors.length > 0);
+
+  const webhookPayload = {
+    timestamp: new Date().toISOString(),
+    status: failed > 0 ? 'failure' : hasWarnings ? 'warning' : 'success',
+    summary: {
+      total: results.length,
+      successful,
+      failed,
+      skipped: skipped.length,
+      totalDurationMs: totalDuration,
+      totalDurationSec: (totalDuration / 1000).toFixed(2)
+    },
+    summaryText: formatBackupSummary(results, skipped),
+    results: results.map(r => ({
+      name: r.name,
+      type: r.type,
+      success: r.success,
+      sizeMB: r.size ? (r.size / (1024 * 1024)).toFixed(2) : null,
+      durationMs: r.duration,
+      durationSec: (r.duration / 1000).toFixed(2),
+      storages: r.storages || [],
+      storageErrors: r.storageErrors || [],
+      // Keep legacy 'path' field for backward compatibility (first storage path or null)
+      path: r.storages && r.storages.length > 0 ? r.storages[0].path : null,
+      verification: r.verification || null,
+      hooks: r.hooks || [],
+      error: r.error || null
+    })),
+    skippedDatabases: skipped
+  };
+
+  return runWithLogContext({ phase: 'notify' }, () => sendNotifications(notifications, webhookPayload));
+}
+
+/**
+ * Load and validate a configuration, from a file path or from an object shaped like config.yaml
+ *
+ * Options: { onEvent?: function } - receives the log events instead of the console
+ * Throws a ConfigError when the configuration is missing or invalid
+ */
+export async function loadConfig(source, options = {}) {
+  return runWithEventHandler(options.onEvent, () => loadConfigSource(source));
+}
+
+/**
+ * Back up databases of a loaded configuration
+ *
+ * Options: { databases?: string[], concurrency?: number, notify?: boolean, signal?: AbortSignal,
+ *            onEvent?: function }
+ * - `databases`: names of the databases to back up (default: all enabled databases); disabled
+ *   databases among them are skipped, server-wide entries back up each database of their server
+ * - `notify`: record the metrics and send the notifications of the run (default: true)
+ * - `onEvent`: receives progress events { time, level, msg, database, storage, phase, ... }
+ *   instead of the console
+ *
+ * A failed backup does not throw, it is reported in the results.
+ * Resolves with { results, skipped, undelivered }, throws a ConfigError for unknown databases
+ */
+export async function runBackups(config, options = {}) {
+  return runWithEventHandler(options.onEvent, async () => {
+    const selected = options.databases && options.databases.length > 0
+      ? selectDatabases(config, options.databases)
+      : Object.entries(config.databases);
+    const enabledDatabases = selected.filter(([_, dbConfig]) => dbConfig.enabled !== false);
+    const skipped = selected.filter(([_, dbConfig]) => dbConfig.enabled === false).map(([name]) => name);
+
+    // Backup all enabled databases, up to `concurrency` at once
+    const concurrency = options.concurrency || config.concurrency || 1;
+    const parallel = concurrency > 1;
+
+    if (parallel) {
+      const perHost = config.concurrencyPerHost ? ` (max ${config.concurrencyPerHost} per host)` : '';
+      console.log(`Running up to ${concurrency} backups in parallel${perHost}\n`);
+    }
+
+    // Server-wide entries are replaced by the databases found on their server
+    const { databases, errors } = await expandDatabases(enabledDatabases);
+
+    const results = await runWithConcurrency(
+      databases,
+      ([name, dbConfig]) => {
+        // Prefix output with the database name so parallel logs stay readable
+        const backup = () => runWithLogContext({ database: name }, () => backupDatabase(name, dbConfig, { parallelStorage: parallel, signal: options.signal }));
+        return parallel ? runWithPrefix(`[${name}]`, backup) : backup();
+      },
+      {
+        concurrency,
+        // Databases without a host (SQLite files, connection URIs) share no server to throttle
+        groupOf: ([_, dbConfig]) => dbConfig.host ? `${dbConfig.host}:${dbConfig.port}` : null,
+        groupConcurrency: config.concurrencyPerHost || Infinity
+      }
+    );
+
+    // A server-wide entry whose databases could not be listed counts as a failed backup
+    for (const { name, error } of errors) {
+      results.push({ name, type: config.databases[name].type, success: false, storages: [], storageErrors: [], verification: null, error, duration: 0 });
+    }
+
+    const undelivered = options.notify === false ? 0 : await notifyResults(config, results, skipped);
+
+    return { results, skipped, undelivered };
+  });
+}
+
+/**
+ * Restore a backup of a database of a loaded configuration
+ *
+ * Options: the options of restoreDatabase ({ from, backup, latest, targetHost, targetPort,
+ * targetDatabase, force }) and { onEvent?: function }
+ * Resolves with { name, source, target, duration }, throws a ConfigError for an unknown database
+ * and a RestoreError when the restore fails
+ */
+export async function restore(config, name, options = {}) {
+  return runWithEventHandler(options.onEvent, async () => {
+    // Databases of server-wide entries are named "<entry>.<database>"
+    const [, dbConfig] = config.databases[name] ? [name, config.databases[name]] : findDiscoveredEntry(config, name) || [];
+    if (!dbConfig) {
+      throw new ConfigError(`Database "${name}" is not defined in config`);
+    }
+
+    if (dbConfig.enabled === false) {
+      logger.warn(`⚠️  Warning: Database "${name}" is disabled, restoring anyway\n`);
+    }
+
+    try {
+      return await runWithLogContext({ database: name, phase: 'restore' }, () => restoreDatabase(name, dbConfig, options));
+    } catch (error) {
+      throw new RestoreError(error.message, { cause: error });
+    }
+  });
+}
+
+/**
+ * List the stored backups of databases of a loaded configuration, in each storage destination
+ *
+ * Options: { databases?: string[], storage?: string, onEvent?: function }
+ * - `storage`: only list the destinations of this storage type or profile name
+ * Resolves with one inventory per database (see getInventory, with an `error` for server-wide
+ * entries whose databases could not be listed), throws a ConfigError for unknown databases or a
+ * storage filter matching no destination
+ */
+export async function listBackups(config, options = {}) {
+  return runWithEventHandler(options.onEvent, async () => {
+    const { databases, errors } = await expandDatabases(selectDatabases(config, options.databases));
+
+    if (options.storage && !databases.some(([_, dbConfig]) => dbConfig.storage.some(storageConfig => matchesStorageFilter(storageConfig, options.storage)))) {
+      throw new ConfigError(`No storage destination of type or profile "${options.storage}" in the selected databases`);
+    }
+
+    const inventories = [];
+    for (const [name, dbConfig] of databases) {
+      inventories.push(await getInventory(name, dbConfig, { storage: options.storage }));
+    }
+
+    // Server-wide entries whose databases could not be listed
+    for (const { name, error } of errors) {
+      inventories.push({ database: name, error, totalBytes: 0, latest: null, storages: [] });
+    }
+
+    return inventories;
+  });
+}
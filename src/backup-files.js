@@ -0,0 +1,70 @@
+import { ENCRYPTED_EXTENSION } from './encryption.js';
+
+/**
+ * Extensions of the backup files produced by the registered dump drivers (plain and encrypted)
+ */
+const backupExtensions = new Set();
+
+/**
+ * Recognise the backup files of a dump driver, e.g. ".sql.gz" (and ".sql.gz.enc")
+ */
+export function registerBackupExtension(extension) {
+  backupExtensions.add(extension);
+  backupExtensions.add(`${extension}${ENCRYPTED_EXTENSION}`);
+}
+
+/**
+ * Generate backup filename with timestamp
+ */
+export function generateBackupFilename(dbName, extension) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').split('Z')[0];
+  return `${dbName}_${timestamp}.${extension}`;
+}
+
+/**
+ * Check whether a file name looks like a backup file
+ */
+export function isBackupFile(fileName) {
+  return [...backupExtensions].some(extension => fileName.endsWith(extension));
+}
+
+/**
+ * Check whether a backup file belongs to the given database configuration name
+ * (files are named "<name>_<YYYY-MM-DD>_<HH-mm-ss-SSS>.<extension>")
+ */
+export function isBackupOf(fileName, dbName) {
+  if (!isBackupFile(fileName) || !fileName.startsWith(`${dbName}_`)) {
+    return false;
+  }
+
+  return /^\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}-\d{3}\./.test(fileName.slice(dbName.length + 1));
+}
+
+/**
+ * Get the (UTC) creation date encoded in a backup file name, or null if there is none
+ */
+export function parseBackupDate(fileName) {
+  const match = fileName.match(/_(\d{4}-\d{2}-\d{2})_(\d{2})-(\d{2})-(\d{2})-(\d{3})\./);
+  if (!match) {
+    return null;
+  }
+
+  const [, date, hours, minutes, seconds, milliseconds] = match;
+  return new Date(`${date}T${hours}:${minutes}:${seconds}.${milliseconds}Z`);
+}
+
+/**
+ * Get the content type of a backup file, from its compression (encrypted files are opaque)
+ */
+export function getBackupContentType(fileName) {
+  const contentTypes = { '.gz': 'application/gzip', '.zst': 'application/zstd', '.tar': 'application/x-tar' };
+  const extension = Object.keys(contentTypes).find(suffix => fileName.endsWith(suffix));
+  return extension ? contentTypes[extension] : 'application/octet-stream';
+}
+
+/**
+ * Check whether a backup file is encrypted
+ */
+export function isEncryptedBackup(fileName) {
+  return fileName.endsWith(ENCRYPTED_EXTENSION);
+}
@@ -0,0 +1,227 @@
+import { spawn, execFileSync } from 'child_process';
+import fs from 'fs';
+import zlib from 'zlib';
+import { Duplex, PassThrough } from 'stream';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Compression algorithms of the `compression` option
+ */
+export const COMPRESSION_ALGORITHMS = ['gzip', 'zstd', 'none'];
+
+/**
+ * File name suffix of each compression algorithm
+ */
+const COMPRESSION_SUFFIXES = { gzip: '.gz', zstd: '.zst', none: '' };
+
+/**
+ * Supported levels of each compression algorithm, and the level used when none is set
+ */
+const COMPRESSION_LEVELS = {
+  gzip: { min: 1, max: 9, default: 6 },
+  zstd: { min: 1, max: 19, default: 3 }
+};
+
+/**
+ * Validate the `compression` option of a database: an algorithm name, or
+ * { algorithm, level, threads }
+ */
+export function validateCompression(name, config) {
+  const compression = config.compression;
+  if (compression === undefined) {
+    return;
+  }
+
+  const options = typeof compression === 'string' ? { algorithm: compression } : compression;
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw new Error(`Database "${name}" has invalid compression. Must be ${COMPRESSION_ALGORITHMS.join(', ')} or an object with an algorithm`);
+  }
+
+  const unknown = Object.keys(options).filter(field => !['algorithm', 'level', 'threads'].includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Database "${name}" has unknown compression fields: ${unknown.join(', ')}. Valid fields: algorithm, level, threads`);
+  }
+
+  // Like a database without compression option, the algorithm defaults to gzip
+  const algorithm = options.algorithm !== undefined ? options.algorithm : 'gzip';
+  if (!COMPRESSION_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Database "${name}" has invalid compression algorithm "${algorithm}". Must be one of: ${COMPRESSION_ALGORITHMS.join(', ')}`);
+  }
+
+  const levels = COMPRESSION_LEVELS[algorithm];
+  if (options.level !== undefined && (!levels || !Number.isInteger(options.level) || options.level < levels.min || options.level > levels.max)) {
+    throw new Error(levels
+      ? `Database "${name}" has invalid compression.level. Must be an integer from ${levels.min} to ${levels.max} for ${algorithm}`
+      : `Database "${name}" cannot set compression.level without compression`);
+  }
+
+  if (options.threads !== undefined) {
+    if (algorithm !== 'zstd') {
+      throw new Error(`Database "${name}" cannot set compression.threads, only zstd compresses with several threads`);
+    }
+    // 0 lets zstd use every core
+    if (!Number.isInteger(options.threads) || options.threads < 0) {
+      throw new Error(`Database "${name}" has invalid compression.threads. Must be a positive integer, or 0 for one per core`);
+    }
+  }
+}
+
+/**
+ * Get the effective compression of a database: { algorithm, level, threads }
+ * Without a `compression` option, databases are gzipped, at the given default level if any
+ */
+export function getCompression(config, defaultGzipLevel = COMPRESSION_LEVELS.gzip.default) {
+  const options = typeof config.compression === 'string' ? { algorithm: config.compression } : config.compression || {};
+  const algorithm = options.algorithm || 'gzip';
+
+  if (algorithm === 'none') {
+    return { algorithm, level: null, threads: null };
+  }
+
+  const defaultLevel = algorithm === 'gzip' ? defaultGzipLevel : COMPRESSION_LEVELS[algorithm].default;
+  return {
+    algorithm,
+    level: options.level !== undefined ? options.level : defaultLevel,
+    threads: algorithm === 'zstd' ? (options.threads !== undefined ? options.threads : 1) : null
+  };
+}
+
+/**
+ * Add the suffix of a compression to a backup file extension, e.g. 'sql' -> 'sql.zst'
+ */
+export function withCompressionSuffix(extension, compression) {
+  return `${extension}${COMPRESSION_SUFFIXES[compression.algorithm]}`;
+}
+
+/**
+ * List a backup file extension with the suffix of every compression algorithm
+ */
+export function getCompressedExtensions(extension) {
+  return Object.values(COMPRESSION_SUFFIXES).map(suffix => `${extension}${suffix}`);
+}
+
+/**
+ * Describe a compression for display, e.g. "zstd (level 3, 4 threads)"
+ */
+export function describeCompression(compression) {
+  if (compression.algorithm === 'none') {
+    return 'none';
+  }
+
+  const details = [`level ${compression.level}`];
+  if (compression.threads !== null) {
+    details.push(compression.threads === 0 ? 'one thread per core' : `${compression.threads} thread${compression.threads > 1 ? 's' : ''}`);
+  }
+  return `${compression.algorithm} (${details.join(', ')})`;
+}
+
+/**
+ * Run a command as a stream filter: data written to the returned stream goes to its stdin,
+ * its stdout can be read from the stream
+ * Returns { stream, done }, `done` resolves once the command exited successfully
+ */
+function spawnFilter(command, args, signal) {
+  const child = spawn(command, args, { signal });
+
+  let stderr = '';
+  child.stderr.on('data', (data) => {
+    stderr += data.toString();
+  });
+
+  const done = new Promise((resolve, reject) => {
+    child.on('error', (err) => {
+      reject(new Error(`${command} process error: ${err.message}`));
+    });
+    child.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`${command} exited with code ${code}: ${stderr}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+  // Callers may fail before waiting for the command, its own error is then irrelevant
+  done.catch(() => {});
+
+  return { stream: Duplex.from({ writable: child.stdin, readable: child.stdout }), done };
+}
+
+/**
+ * Create the compression stream of a compression: gzip runs in-process, zstd with the zstd tool
+ * Returns { stream, done }, `done` resolves once the compression completed
+ */
+export function createCompressor(compression, signal) {
+  if (compression.algorithm === 'zstd') {
+    return spawnFilter('zstd', ['-q', '-c', `-${compression.level}`, `-T${compression.threads}`], signal);
+  }
+
+  if (compression.algorithm === 'gzip') {
+    return { stream: zlib.createGzip({ level: compression.level }), done: Promise.resolve() };
+  }
+
+  return { stream: new PassThrough(), done: Promise.resolve() };
+}
+
+/**
+ * Create the decompression stream of a backup file, from the suffix of its name
+ * Returns { stream, done }, like createCompressor
+ */
+export function createDecompressor(fileName) {
+  if (fileName.endsWith(COMPRESSION_SUFFIXES.zstd)) {
+    return spawnFilter('zstd', ['-q', '-d', '-c']);
+  }
+
+  if (fileName.endsWith(COMPRESSION_SUFFIXES.gzip)) {
+    return { stream: zlib.createGunzip(), done: Promise.resolve() };
+  }
+
+  return { stream: new PassThrough(), done: Promise.resolve() };
+}
+
+/**
+ * Compress a stream to an output stream
+ * Returns the compressed size in bytes
+ */
+export async function compressStream(input, output, compression, options = {}) {
+  let size = 0;
+  const compressor = createCompressor(compression, options.signal);
+  compressor.stream.on('data', (chunk) => {
+    size += chunk.length;
+  });
+
+  try {
+    await pipeline(input, compressor.stream, output, { signal: options.signal });
+  } catch (error) {
+    // The error of the compression tool (e.g. zstd not installed) explains the broken stream
+    await compressor.done;
+    throw error;
+  }
+  await compressor.done;
+
+  return size;
+}
+
+/**
+ * Compress a snapshot file to the backup file, or to `options.stream` in streaming mode
+ * Returns the compressed size in bytes
+ */
+export async function compressSnapshot(snapshotPath, backupPath, compression, options = {}) {
+  return compressStream(fs.createReadStream(snapshotPath), options.stream || fs.createWriteStream(backupPath), compression, options);
+}
+
+/**
+ * Check that the tool of a compression is installed, for the check command
+ * Returns a { label, ok, detail } check, or null when the compression needs no tool
+ */
+export function checkCompressionTool(compression) {
+  if (compression.algorithm !== 'zstd') {
+    return null;
+  }
+
+  try {
+    const version = execFileSync('zstd', ['--version'], { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+    return { label: 'compression', ok: true, detail: version };
+  } catch {
+    return { label: 'compression', ok: false, detail: 'zstd not found' };
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Table filter options of MySQL and PostgreSQL databases, and the schema filters of PostgreSQL
+ */
+const PATTERN_LIST_FIELDS = ['includeTables', 'excludeTables', 'excludeTableData'];
+const SCHEMA_LIST_FIELDS = ['includeSchemas', 'excludeSchemas'];
+
+/**
+ * Convert a glob pattern (`*` and `?` wildcards) to a regular expression
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a name (table, database...) matches one of a list of glob patterns
+ */
+export function matchesPattern(name, patterns = []) {
+  return patterns.some(pattern => globToRegExp(pattern).test(name));
+}
+
+/**
+ * Check that an option is a list of non-empty strings
+ */
+function validateStringList(name, config, field, description) {
+  if (config[field] !== undefined && (!Array.isArray(config[field]) || config[field].some(value => typeof value !== 'string' || value === ''))) {
+    throw new Error(`Database "${name}" has invalid ${field}. Must be a list of ${description}`);
+  }
+}
+
+/**
+ * Validate the filters, dump mode and extra arguments of a database
+ *
+ * Options: { schemas: whether schema filters are supported, reservedArgs: dump tool options
+ * set by lunasdb (connection, output), which extraArgs cannot override }
+ */
+export function validateDumpOptions(name, config, options = {}) {
+  for (const field of PATTERN_LIST_FIELDS) {
+    validateStringList(name, config, field, 'table names or glob patterns');
+  }
+
+  for (const field of SCHEMA_LIST_FIELDS) {
+    if (config[field] !== undefined && !options.schemas) {
+      throw new Error(`Database "${name}" has ${field}, which is not supported by ${config.type} databases`);
+    }
+    validateStringList(name, config, field, 'schema names or glob patterns');
+  }
+
+  for (const field of ['schemaOnly', 'dataOnly']) {
+    if (config[field] !== undefined && typeof config[field] !== 'boolean') {
+      throw new Error(`Database "${name}" has invalid ${field}. Must be true or false`);
+    }
+  }
+
+  if (config.schemaOnly && config.dataOnly) {
+    throw new Error(`Database "${name}" cannot combine schemaOnly with dataOnly`);
+  }
+
+  if (config.extraArgs !== undefined) {
+    validateStringList(name, config, 'extraArgs', 'command-line options');
+
+    for (const arg of config.extraArgs) {
+      // Positional arguments would change what is dumped (e.g. more databases)
+      if (!arg.startsWith('-')) {
+        throw new Error(`Database "${name}" has invalid extraArgs "${arg}". Must be options starting with "-"`);
+      }
+
+      const option = arg.split('=')[0];
+      const reserved = (options.reservedArgs || []).find(reservedArg => reservedArg.startsWith('--')
+        // Dump tools accept unambiguous abbreviations of long options (e.g. --result= for --result-file)
+        ? option.startsWith('--') && option.length > 2 && reservedArg.startsWith(option)
+        // Short options may have their value attached (e.g. -hlocalhost)
+        : !arg.startsWith('--') && arg.startsWith(reservedArg));
+      if (reserved) {
+        throw new Error(`Database "${name}" extraArgs cannot set ${reserved}, it is managed by lunasdb`);
+      }
+    }
+  }
+}
+
+/**
+ * Check whether a database has table filters
+ */
+export function hasTableFilters(config) {
+  return PATTERN_LIST_FIELDS.some(field => config[field] && config[field].length > 0);
+}
+
+/**
+ * Describe the effective filters and dump mode of a database, one line per setting (for --list)
+ */
+export function describeDumpOptions(config) {
+  const lines = [];
+  const labels = {
+    includeSchemas: 'Schemas',
+    excludeSchemas: 'Excluded schemas',
+    includeTables: 'Tables',
+    excludeTables: 'Excluded tables',
+    excludeTableData: 'Excluded table data'
+  };
+
+  for (const [field, label] of Object.entries(labels)) {
+    if (config[field] && config[field].length > 0) {
+      lines.push(`${label}: ${config[field].join(', ')}`);
+    }
+  }
+
+  if (config.schemaOnly || config.dataOnly) {
+    lines.push(`Mode: ${config.schemaOnly ? 'schema only' : 'data only'}`);
+  }
+
+  if (config.extraArgs && config.extraArgs.length > 0) {
+    lines.push(`Extra arguments: ${config.extraArgs.join(' ')}`);
+  }
+
+  return lines;
+}
@@ -0,0 +1,204 @@
+import { spawn, execSync } from 'child_process';
+import fs from 'fs';
+import { getCompression, withCompressionSuffix, getCompressedExtensions, createCompressor } from './compress.js';
+
+/**
+ * Get the version string reported by a command, or null if it cannot be run
+ */
+function getToolVersion(command) {
+  try {
+    return execSync(`${command} --version`, { stdio: ['ignore', 'pipe', 'ignore'] }).toString().split('\n')[0].trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the mongodump connection arguments, from a connection URI or host/port/credentials
+ */
+function getConnectionArgs(config) {
+  const args = [];
+
+  if (config.uri) {
+    args.push(`--uri=${config.uri}`);
+  } else {
+    // A replica set is addressed as "<replicaSet>/<host>"
+    args.push(`--host=${config.replicaSet ? `${config.replicaSet}/${config.host}` : config.host}`);
+    args.push(`--port=${config.port}`);
+  }
+
+  if (config.username) {
+    args.push(`--username=${config.username}`);
+  }
+
+  if (config.password) {
+    args.push(`--password=${config.password}`);
+  }
+
+  if (config.authDatabase) {
+    args.push(`--authenticationDatabase=${config.authDatabase}`);
+  }
+
+  // Add SSL options
+  if (config.ssl === true) {
+    args.push('--ssl');
+  }
+  if (config.skipSslVerification) {
+    args.push('--sslAllowInvalidCertificates');
+  }
+
+  return args;
+}
+
+/**
+ * Create a MongoDB backup using mongodump (archive)
+ * With gzip, mongodump compresses the collections of the archive itself (restore with
+ * `mongorestore --gzip --archive`), with zstd the whole archive is compressed
+ * An AbortSignal can be passed in options to kill the dump process, and a writable
+ * `options.stream` to receive the archive instead of the backup file
+ */
+export async function backupMongoDB(name, config, backupPath, options = {}) {
+  console.log(`Starting MongoDB backup for: ${name}`);
+
+  const compression = getCompression(config);
+
+  return new Promise((resolve, reject) => {
+    // A list of collections is selected by namespace, which replaces --db
+    const args = [
+      ...getConnectionArgs(config),
+      ...(config.collections ? config.collections.map(collection => `--nsInclude=${config.database}.${collection}`) : [`--db=${config.database}`]),
+      '--archive'
+    ];
+    if (compression.algorithm === 'gzip') {
+      args.push('--gzip');
+    }
+
+    // mongodump can dump a single collection, or exclude any number of them
+    if (config.collection) {
+      args.push(`--collection=${config.collection}`);
+    }
+    for (const collection of config.excludeCollections || []) {
+      args.push(`--excludeCollection=${collection}`);
+    }
+
+    // Write to the given stream (streaming mode) or to the backup file
+    const writeStream = options.stream || fs.createWriteStream(backupPath);
+
+    // Spawn mongodump process
+    const mongodump = spawn('mongodump', args, { signal: options.signal });
+
+    // mongodump gzips by itself, other compressions are applied to its output
+    const compressor = createCompressor(compression.algorithm === 'gzip' ? { algorithm: 'none' } : compression, options.signal);
+    mongodump.stdout.pipe(compressor.stream).pipe(writeStream);
+    const written = new Promise(resolve => writeStream.once('finish', resolve));
+
+    let size = 0;
+    compressor.stream.on('data', (chunk) => {
+      size += chunk.length;
+    });
+
+    let stderr = '';
+
+    mongodump.stderr.on('data', (data) => {
+      // mongodump writes its progress log to stderr, which is normal
+      stderr += data.toString();
+    });
+
+    mongodump.on('error', (err) => {
+      reject(new Error(`mongodump process error: ${err.message}`));
+    });
+
+    compressor.stream.on('error', (err) => {
+      // The error of the compression tool (e.g. zstd not installed) explains the broken stream
+      compressor.done.then(() => reject(new Error(`${compression.algorithm} compression error: ${err.message}`)), reject);
+    });
+
+    writeStream.on('error', (err) => {
+      reject(new Error(`Write stream error: ${err.message}`));
+    });
+
+    mongodump.on('close', async (code) => {
+      if (code !== 0) {
+        reject(new Error(`mongodump exited with code ${code}: ${stderr}`));
+        return;
+      }
+
+      try {
+        await Promise.all([written, compressor.done]);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      const sizeMB = (size / (1024 * 1024)).toFixed(2);
+      console.log(`MongoDB backup completed: ${name} (${sizeMB} MB)`);
+      resolve({
+        path: backupPath,
+        size,
+        database: name,
+        tool: 'mongodump',
+        toolVersion: getToolVersion('mongodump'),
+        // mongodump has no compression level setting
+        compression: { format: 'archive', ...compression, level: compression.algorithm === 'gzip' ? null : compression.level }
+      });
+    });
+  });
+}
+
+/**
+ * Check that mongodump is installed
+ * Connectivity is tested by the check command from the host and port (there is no MongoDB client)
+ * Returns a list of { label, ok, detail }
+ */
+export async function checkMongoDB() {
+  const toolVersion = getToolVersion('mongodump');
+  return [{ label: 'dump tool', ok: Boolean(toolVersion), detail: toolVersion || 'mongodump not found' }];
+}
+
+/**
+ * Validate the MongoDB specific options of a database
+ */
+function validateMongoDBConfig(name, config) {
+  if (config.collection !== undefined && typeof config.collection !== 'string') {
+    throw new Error(`Database "${name}" has invalid collection. Must be a collection name`);
+  }
+
+  if (config.excludeCollections !== undefined && (!Array.isArray(config.excludeCollections) || config.excludeCollections.some(collection => typeof collection !== 'string'))) {
+    throw new Error(`Database "${name}" has invalid excludeCollections. Must be a list of collection names`);
+  }
+
+  if (config.collections !== undefined && (!Array.isArray(config.collections) || config.collections.length === 0 || config.collections.some(collection => typeof collection !== 'string'))) {
+    throw new Error(`Database "${name}" has invalid collections. Must be a non-empty list of collection names`);
+  }
+
+  if (config.collection && config.collections) {
+    throw new Error(`Database "${name}" cannot combine collection with collections`);
+  }
+
+  // mongodump rejects --collection (and --nsInclude) together with --excludeCollection
+  const included = config.collection ? 'collection' : config.collections ? 'collections' : null;
+  if (included && config.excludeCollections && config.excludeCollections.length > 0) {
+    throw new Error(`Database "${name}" cannot combine ${included} with excludeCollections`);
+  }
+
+  if (getCompression(config).algorithm === 'gzip' && config.compression && config.compression.level !== undefined) {
+    throw new Error(`Database "${name}" cannot set compression.level for gzip, mongodump compresses at a fixed level`);
+  }
+}
+
+/**
+ * MongoDB dump driver
+ */
+export const mongodbDriver = {
+  types: ['mongodb'],
+  extension: config => withCompressionSuffix('archive', getCompression(config)),
+  extensions: getCompressedExtensions('archive'),
+  defaultPort: 27017,
+  // A connection URI replaces host, and MongoDB may run without authentication
+  requiredFields: config => config.uri ? ['database'] : ['database', 'host'],
+  validate: validateMongoDBConfig,
+  backup: backupMongoDB,
+  check: checkMongoDB,
+  // Never display a connection URI, it may hold credentials
+  describe: config => config.uri ? 'connection URI' : `${config.host}:${config.port}`
+};
@@ -1,6 +1,13 @@
-import { spawn } from 'child_process';
+import { spawn, execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
+import { validateDumpOptions, hasTableFilters, matchesPattern } from './filters.js';
+import { getCompression, withCompressionSuffix, getCompressedExtensions, createCompressor, createDecompressor } from './compress.js';
+
+/**
+ * mysqldump options set by lunasdb, which extraArgs cannot override
+ */
+const RESERVED_DUMP_ARGS = ['-h', '--host', '-P', '--port', '-u', '--user', '-p', '--password', '-r', '--result-file', '-B', '--databases', '-A', '--all-databases', '-T', '--tab'];
 
 /**
  * Detect which MySQL dump tool is available
@@ -8,7 +15,6 @@ import path from 'path';
 function getMySQLDumpCommand() {
   try {
     // Try mariadb-dump first (newer)
-    const { execSync } = require('child_process');
     execSync('which mariadb-dump', { stdio: 'ignore' });
     return 'mariadb-dump';
   } catch {
@@ -17,83 +23,220 @@ function getMySQLDumpCommand() {
 }
 
 /**
- * Create a MySQL/MariaDB backup using mysqldump
+ * Get the version string reported by a command, or null if it cannot be run
  */
-export async function backupMySQL(name, config, backupPath) {
-  console.log(`Starting MySQL backup for: ${name}`);
+function getToolVersion(command) {
+  try {
+    return execSync(`${command} --version`, { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch {
+    return null;
+  }
+}
 
-  return new Promise((resolve, reject) => {
-    const args = [
-      `-h${config.host}`,
-      `-P${config.port}`,
-      `-u${config.username}`,
+/**
+ * Detect which MySQL client is available
+ */
+function getMySQLClientCommand() {
+  try {
+    // Try mariadb first (newer)
+    execSync('which mariadb', { stdio: 'ignore' });
+    return 'mariadb';
+  } catch {
+    return 'mysql';
+  }
+}
+
+/**
+ * Build connection arguments shared by the dump tool and the client
+ */
+function getConnectionArgs(config) {
+  const args = [
+    `-h${config.host}`,
+    `-P${config.port}`,
+    `-u${config.username}`
+  ];
+
+  // Add SSL options
+  if (config.ssl === false || config.skipSslVerification) {
+    // Skip SSL verification
+    args.push('--skip-ssl');
+  } else {
+    // Require SSL but don't verify certificate
+    args.push('--ssl-mode=REQUIRED');
+  }
+
+  // Add password if provided
+  if (config.password) {
+    args.unshift(`-p${config.password}`);
+  }
+
+  return args;
+}
+
+/**
+ * System databases of the server, never backed up by a server-wide entry
+ */
+const SYSTEM_DATABASES = ['information_schema', 'performance_schema', 'mysql', 'sys'];
+
+/**
+ * List the databases of the server, system databases excluded
+ */
+export async function listMySQLDatabases(config) {
+  const output = await queryMySQL(config, 'SHOW DATABASES');
+  return output.split('\n').filter(database => database && !SYSTEM_DATABASES.includes(database));
+}
+
+/**
+ * List the tables and views of the database
+ */
+async function listMySQLTables(config) {
+  const database = config.database.replace(/'/g, "''");
+  const output = await queryMySQL(config, `SELECT table_name FROM information_schema.tables WHERE table_schema = '${database}'`);
+  return output ? output.split('\n') : [];
+}
+
+/**
+ * Build the mysqldump arguments of each dump pass, written one after another to the backup
+ *
+ * mysqldump only takes exact table names, so the glob patterns of the table filters are resolved
+ * against the tables of the database. Filtered out tables are skipped with --ignore-table, and the
+ * tables of `excludeTableData` get a second, structure only pass.
+ */
+async function getDumpPasses(config) {
+  const args = [...getConnectionArgs(config), '--single-transaction', '--quick', '--lock-tables=false'];
+
+  if (config.schemaOnly) {
+    args.push('--no-data', '--routines', '--triggers', '--events');
+  } else if (config.dataOnly) {
+    args.push('--no-create-info', '--skip-triggers');
+  } else {
+    args.push('--routines', '--triggers', '--events');
+  }
+
+  const extraArgs = config.extraArgs || [];
+
+  if (!hasTableFilters(config)) {
+    return [[...args, ...extraArgs, config.database]];
+  }
+
+  const tables = await listMySQLTables(config);
+  const selected = config.includeTables ? tables.filter(table => matchesPattern(table, config.includeTables)) : tables;
+  if (config.includeTables && selected.length === 0) {
+    throw new Error(`No table of ${config.database} matches includeTables: ${config.includeTables.join(', ')}`);
+  }
+
+  const dumped = selected.filter(table => !matchesPattern(table, config.excludeTables));
+  const structureOnly = config.schemaOnly ? [] : dumped.filter(table => matchesPattern(table, config.excludeTableData));
+  const ignored = tables.filter(table => !dumped.includes(table) || structureOnly.includes(table));
+
+  const passes = [[
+    ...args,
+    ...ignored.map(table => `--ignore-table=${config.database}.${table}`),
+    ...extraArgs,
+    config.database
+  ]];
+
+  // A data only dump leaves out the structure of these tables too
+  if (structureOnly.length > 0 && !config.dataOnly) {
+    console.log(`  Dumping the structure only of: ${structureOnly.join(', ')}`);
+    passes.push([
+      ...getConnectionArgs(config),
       '--single-transaction',
-      '--quick',
       '--lock-tables=false',
-      '--routines',
-      '--triggers',
-      '--events',
-      config.database
-    ];
-
-    // Add SSL options
-    if (config.ssl === false || config.skipSslVerification) {
-      // Skip SSL verification
-      args.push('--skip-ssl');
-    } else if (config.sslMode === 'require' || config.ssl === true) {
-      // Require SSL but don't verify certificate
-      args.push('--ssl-mode=REQUIRED');
-    } else {
-      // Default: try SSL if available, skip certificate verification
-      args.push('--ssl-mode=REQUIRED');
-    }
+      '--no-data',
+      ...extraArgs,
+      config.database,
+      ...structureOnly
+    ]);
+  }
 
-    // Add password if provided
-    if (config.password) {
-      args.unshift(`-p${config.password}`);
-    }
+  return passes;
+}
 
-    // Create write stream
-    const writeStream = fs.createWriteStream(backupPath);
+/**
+ * Create a MySQL/MariaDB backup using mysqldump
+ * An AbortSignal can be passed in options to kill the dump processes, and a writable
+ * `options.stream` to receive the compressed dump instead of the backup file
+ */
+export async function backupMySQL(name, config, backupPath, options = {}) {
+  console.log(`Starting MySQL backup for: ${name}`);
+
+  // Table filters are resolved before anything is written
+  const passes = await getDumpPasses(config);
+
+  return new Promise((resolve, reject) => {
+    // Write to the given stream (streaming mode) or to the backup file
+    const writeStream = options.stream || fs.createWriteStream(backupPath);
 
     // Detect and use the appropriate dump command
     const dumpCommand = getMySQLDumpCommand();
     console.log(`  Using ${dumpCommand} for backup`);
 
-    // Spawn mysqldump process
-    const mysqldump = spawn(dumpCommand, args);
+    // Pipe to the compressor and then to file
+    const compression = getCompression(config);
+    const compressor = createCompressor(compression, options.signal);
 
-    // Pipe to gzip and then to file
-    const gzip = spawn('gzip');
+    compressor.stream.pipe(writeStream);
 
-    mysqldump.stdout.pipe(gzip.stdin);
-    gzip.stdout.pipe(writeStream);
+    let size = 0;
+    compressor.stream.on('data', (chunk) => {
+      size += chunk.length;
+    });
 
     let stderr = '';
 
-    mysqldump.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+    /**
+     * Spawn the mysqldump process of each pass once the previous one is done, the compressor is
+     * ended after the last one
+     */
+    const runPass = (index) => {
+      if (index === passes.length) {
+        compressor.stream.end();
+        return;
+      }
 
-    gzip.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+      const mysqldump = spawn(dumpCommand, passes[index], { signal: options.signal });
 
-    mysqldump.on('error', (err) => {
-      reject(new Error(`mysqldump process error: ${err.message}`));
-    });
+      mysqldump.stdout.pipe(compressor.stream, { end: false });
+
+      mysqldump.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      mysqldump.on('error', (err) => {
+        reject(new Error(`mysqldump process error: ${err.message}`));
+      });
+
+      mysqldump.on('close', (code) => {
+        if (code !== 0) {
+          compressor.stream.end();
+          reject(new Error(`mysqldump exited with code ${code}: ${stderr}`));
+        } else {
+          runPass(index + 1);
+        }
+      });
+    };
+
+    runPass(0);
 
-    gzip.on('error', (err) => {
-      reject(new Error(`gzip process error: ${err.message}`));
+    compressor.stream.on('error', (err) => {
+      // The error of the compression tool (e.g. zstd not installed) explains the broken stream
+      compressor.done.then(() => reject(new Error(`${compression.algorithm} compression error: ${err.message}`)), reject);
     });
 
     writeStream.on('error', (err) => {
       reject(new Error(`Write stream error: ${err.message}`));
     });
 
-    writeStream.on('finish', () => {
-      const stats = fs.statSync(backupPath);
-      const sizeMB = (stats.size / (1024 * 1024)).toFixed(2);
+    writeStream.on('finish', async () => {
+      const sizeMB = (size / (1024 * 1024)).toFixed(2);
+
+      try {
+        await compressor.done;
+      } catch (error) {
+        reject(error);
+        return;
+      }
 
       if (stderr && stderr.includes('ERROR')) {
         reject(new Error(`mysqldump failed: ${stderr}`));
@@ -101,16 +244,199 @@ export async function backupMySQL(name, config, backupPath) {
         console.log(`MySQL backup completed: ${name} (${sizeMB} MB)`);
         resolve({
           path: backupPath,
-          size: stats.size,
-          database: name
+          size,
+          database: name,
+          tool: dumpCommand,
+          toolVersion: getToolVersion(dumpCommand),
+          compression: { format: 'sql', ...compression }
         });
       }
     });
+  });
+}
+
+/**
+ * Run a SQL query with the MySQL client and return its tab-separated output
+ */
+export async function queryMySQL(config, sql, database = null) {
+  return new Promise((resolve, reject) => {
+    const args = [...getConnectionArgs(config), '--batch', '--skip-column-names', '-e', sql];
+    if (database) {
+      args.push(database);
+    }
+
+    const client = spawn(getMySQLClientCommand(), args);
+
+    let stdout = '';
+    let stderr = '';
+
+    client.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    client.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    client.on('error', (err) => {
+      reject(new Error(`mysql process error: ${err.message}`));
+    });
+
+    client.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`mysql exited with code ${code}: ${stderr}`));
+      } else {
+        resolve(stdout.trim());
+      }
+    });
+  });
+}
+
+/**
+ * Check whether a MySQL/MariaDB database exists
+ */
+export async function mysqlDatabaseExists(config) {
+  const database = config.database.replace(/'/g, "''");
+  const output = await queryMySQL(config, `SELECT COUNT(*) FROM information_schema.schemata WHERE schema_name = '${database}'`);
+  return parseInt(output, 10) > 0;
+}
+
+/**
+ * Check whether a MySQL/MariaDB database has no tables (a missing database counts as empty)
+ */
+export async function isMySQLDatabaseEmpty(config) {
+  const database = config.database.replace(/'/g, "''");
+  const output = await queryMySQL(config, `SELECT COUNT(*) FROM information_schema.tables WHERE table_schema = '${database}'`);
+  return parseInt(output, 10) === 0;
+}
+
+/**
+ * Restore a SQL backup (compressed or not, from its file name) into a MySQL/MariaDB database
+ * With `options.clean`, the database is dropped and recreated first, so objects missing from the
+ * dump don't survive (like pg_restore --clean)
+ */
+export async function restoreMySQL(name, config, backupPath, options = {}) {
+  console.log(`Starting MySQL restore for: ${name}`);
+
+  const database = `\`${config.database.replace(/`/g, '``')}\``;
+  if (options.clean) {
+    console.log(`  Dropping existing database: ${config.database}`);
+    await queryMySQL(config, `DROP DATABASE IF EXISTS ${database}`);
+  }
+
+  // Make sure the target database exists before replaying the dump
+  await queryMySQL(config, `CREATE DATABASE IF NOT EXISTS ${database}`);
+
+  return new Promise((resolve, reject) => {
+    const args = [...getConnectionArgs(config), config.database];
 
-    mysqldump.on('close', (code) => {
+    const clientCommand = getMySQLClientCommand();
+    console.log(`  Using ${clientCommand} for restore`);
+
+    const readStream = fs.createReadStream(backupPath);
+    const decompressor = createDecompressor(backupPath);
+    const client = spawn(clientCommand, args);
+
+    readStream.pipe(decompressor.stream);
+    decompressor.stream.pipe(client.stdin);
+
+    let stderr = '';
+
+    client.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    readStream.on('error', (err) => {
+      reject(new Error(`Read stream error: ${err.message}`));
+    });
+
+    decompressor.stream.on('error', (err) => {
+      reject(new Error(`Decompression error: ${err.message}`));
+    });
+    decompressor.done.catch(reject);
+
+    client.on('error', (err) => {
+      reject(new Error(`${clientCommand} process error: ${err.message}`));
+    });
+
+    client.on('close', (code) => {
       if (code !== 0) {
-        reject(new Error(`mysqldump exited with code ${code}: ${stderr}`));
+        reject(new Error(`${clientCommand} exited with code ${code}: ${stderr}`));
+      } else {
+        console.log(`MySQL restore completed: ${name} -> ${config.database}`);
+        resolve({
+          database: config.database
+        });
       }
     });
   });
 }
+
+/**
+ * Parse the major.minor version and flavour of a dump tool or server version string
+ * e.g. "mysqldump  Ver 8.0.36 for Linux", "mysqldump  Ver 10.19 Distrib 10.11.6-MariaDB", "8.0.36"
+ */
+function parseMySQLVersion(versionString) {
+  const match = versionString.match(/Distrib (\d+)\.(\d+)/) || versionString.match(/from (\d+)\.(\d+)/) || versionString.match(/(\d+)\.(\d+)/);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    major: parseInt(match[1], 10),
+    minor: parseInt(match[2], 10),
+    mariadb: /mariadb/i.test(versionString)
+  };
+}
+
+/**
+ * Check that the dump tool is installed, the database is reachable and the tool can dump it
+ * Returns a list of { label, ok, detail }
+ */
+export async function checkMySQL(config) {
+  const dumpCommand = getMySQLDumpCommand();
+  const toolVersion = getToolVersion(dumpCommand);
+  const checks = [{ label: 'dump tool', ok: Boolean(toolVersion), detail: toolVersion || `${dumpCommand} not found` }];
+
+  let serverVersion;
+  try {
+    serverVersion = await queryMySQL(config, 'SELECT VERSION()', config.database);
+    checks.push({ label: 'connection', ok: true, detail: `server ${serverVersion}` });
+  } catch (error) {
+    checks.push({ label: 'connection', ok: false, detail: error.message });
+    return checks;
+  }
+
+  const tool = toolVersion && parseMySQLVersion(toolVersion);
+  const server = parseMySQLVersion(serverVersion);
+  if (tool && server) {
+    // Versions of MySQL and MariaDB are not comparable, only an older tool of the same flavour is a problem
+    const older = tool.mariadb === server.mariadb && (tool.major < server.major || (tool.major === server.major && tool.minor < server.minor));
+    checks.push({
+      label: 'compatibility',
+      ok: !older,
+      detail: older
+        ? `${dumpCommand} ${tool.major}.${tool.minor} is older than the server (${server.major}.${server.minor})`
+        : `${dumpCommand} ${tool.major}.${tool.minor} can dump ${server.mariadb ? 'MariaDB' : 'MySQL'} ${server.major}.${server.minor}`
+    });
+  }
+
+  return checks;
+}
+
+/**
+ * MySQL/MariaDB dump driver
+ */
+export const mysqlDriver = {
+  types: ['mysql', 'mariadb'],
+  extension: config => withCompressionSuffix('sql', getCompression(config)),
+  extensions: getCompressedExtensions('sql'),
+  defaultPort: 3306,
+  requiredFields: ['database', 'host', 'username'],
+  validate: (name, config) => validateDumpOptions(name, config, { reservedArgs: RESERVED_DUMP_ARGS }),
+  backup: backupMySQL,
+  restore: restoreMySQL,
+  isEmpty: isMySQLDatabaseEmpty,
+  listDatabases: listMySQLDatabases,
+  check: checkMySQL
+};
@@ -1,39 +1,240 @@
-import { spawn } from 'child_process';
+import { spawn, execSync } from 'child_process';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import { pipeline } from 'stream/promises';
+import { validateDumpOptions } from './filters.js';
+import { getCompression, withCompressionSuffix, getCompressedExtensions, compressStream } from './compress.js';
+
+/**
+ * pg_dump options set by lunasdb, which extraArgs cannot override
+ */
+const RESERVED_DUMP_ARGS = ['-h', '--host', '-p', '--port', '-U', '--username', '-d', '--dbname', '-f', '--file', '-F', '--format', '-Z', '--compress', '-j', '--jobs', '-w', '--no-password', '-W', '--password'];
+
+/**
+ * pg_dump output formats: a single custom-format file, or a directory dumped with several jobs
+ */
+const DUMP_FORMATS = ['custom', 'directory'];
+
+/**
+ * Extension of the tar archive a directory-format dump is stored as
+ */
+const DIRECTORY_EXTENSION = 'dump.tar';
+
+/**
+ * Level of pg_dump's compression when the database sets none, the `--compress=9` lunasdb always used
+ */
+const DEFAULT_COMPRESSION_LEVEL = 9;
+
+/**
+ * Get the version string reported by a command, or null if it cannot be run
+ */
+function getToolVersion(command) {
+  try {
+    return execSync(`${command} --version`, { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * First pg_dump major version able to compress with zstd
+ */
+const ZSTD_MIN_PG_DUMP_VERSION = 16;
+
+/**
+ * Get the major version of a pg_dump version string (e.g. "pg_dump (PostgreSQL) 15.4"), or null
+ */
+function getMajorVersion(toolVersion) {
+  const match = toolVersion && toolVersion.match(/(\d+)/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Check whether pg_dump can compress with the compression of a database
+ * Returns { ok, detail }
+ */
+function checkPgDumpCompression(compression, toolVersion) {
+  const toolMajor = getMajorVersion(toolVersion);
+  if (compression.algorithm !== 'zstd' || toolMajor === null || toolMajor >= ZSTD_MIN_PG_DUMP_VERSION) {
+    return { ok: true, detail: `pg_dump compresses with ${compression.algorithm}` };
+  }
+
+  return {
+    ok: false,
+    detail: `pg_dump ${toolMajor} cannot compress with zstd, install pg_dump ${ZSTD_MIN_PG_DUMP_VERSION} or newer (or use gzip compression)`
+  };
+}
+
+/**
+ * Build the environment for PostgreSQL client tools
+ */
+function getPostgresEnv(config) {
+  const env = { ...process.env };
+  if (config.password) {
+    env.PGPASSWORD = config.password;
+  }
+  return env;
+}
+
+/**
+ * Build the pg_dump arguments of the table and schema filters and of the dump mode
+ * pg_dump matches the patterns itself (`*` and `?` wildcards, like globs)
+ */
+function getFilterArgs(config) {
+  const args = [
+    ...(config.includeSchemas || []).map(pattern => `--schema=${pattern}`),
+    ...(config.excludeSchemas || []).map(pattern => `--exclude-schema=${pattern}`),
+    ...(config.includeTables || []).map(pattern => `--table=${pattern}`),
+    ...(config.excludeTables || []).map(pattern => `--exclude-table=${pattern}`),
+    ...(config.excludeTableData || []).map(pattern => `--exclude-table-data=${pattern}`)
+  ];
+
+  if (config.schemaOnly) {
+    args.push('--schema-only');
+  } else if (config.dataOnly) {
+    args.push('--data-only');
+  }
+
+  return args;
+}
+
+/**
+ * Build the pg_dump --compress argument: pg_dump compresses custom and directory dumps itself
+ * (zstd needs pg_dump 16 or newer)
+ */
+function getCompressArg(compression) {
+  if (compression.algorithm === 'none') {
+    return '--compress=0';
+  }
+  return compression.algorithm === 'zstd' ? `--compress=zstd:${compression.level}` : `--compress=${compression.level}`;
+}
+
+/**
+ * Wait for a spawned command to exit, resolves with its stderr and rejects with it when it fails
+ */
+function waitForProcess(child, command) {
+  let stderr = '';
+  child.stderr.on('data', (data) => {
+    stderr += data.toString();
+  });
+
+  return new Promise((resolve, reject) => {
+    child.on('error', (err) => {
+      reject(new Error(`${command} process error: ${err.message}`));
+    });
+
+    child.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`${command} exited with code ${code}: ${stderr}`));
+      } else {
+        resolve(stderr);
+      }
+    });
+  });
+}
+
+/**
+ * Dump a PostgreSQL database in directory format with parallel jobs, then pack the directory
+ * into a tar archive (the backup file)
+ */
+async function backupPostgresDirectory(name, config, backupPath, args, compression, options) {
+  const dumpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lunasdb-pgdump-'));
+  const outputDir = path.join(dumpDir, 'dump');
+
+  try {
+    const pgdump = spawn('pg_dump', [
+      ...args.slice(0, -1),
+      `--jobs=${config.jobs || 1}`,
+      `--file=${outputDir}`,
+      args[args.length - 1]
+    ], { env: getPostgresEnv(config), signal: options.signal, stdio: ['ignore', 'ignore', 'pipe'] });
+    const stderr = await waitForProcess(pgdump, 'pg_dump');
+
+    if (stderr.toLowerCase().includes('error:')) {
+      throw new Error(`pg_dump reported errors: ${stderr}`);
+    }
+
+    console.log(`  Packing ${config.jobs || 1}-job directory dump into ${path.basename(backupPath)}`);
+    const tar = spawn('tar', ['-cf', '-', '-C', outputDir, '.'], { signal: options.signal });
+    let size = 0;
+    tar.stdout.on('data', (chunk) => {
+      size += chunk.length;
+    });
+    await Promise.all([pipeline(tar.stdout, fs.createWriteStream(backupPath)), waitForProcess(tar, 'tar')]);
+
+    const sizeMB = (size / (1024 * 1024)).toFixed(2);
+    console.log(`PostgreSQL backup completed: ${name} (${sizeMB} MB)`);
+
+    return {
+      path: backupPath,
+      size,
+      database: name,
+      tool: 'pg_dump',
+      toolVersion: getToolVersion('pg_dump'),
+      compression: { format: 'directory', ...compression, jobs: config.jobs || 1 }
+    };
+  } finally {
+    fs.rmSync(dumpDir, { recursive: true, force: true });
+  }
+}
 
 /**
  * Create a PostgreSQL backup using pg_dump
+ * An AbortSignal can be passed in options to kill the dump process, and a writable
+ * `options.stream` to receive the dump instead of the backup file
  */
-export async function backupPostgres(name, config, backupPath) {
+export async function backupPostgres(name, config, backupPath, options = {}) {
+  // The globals entry of a server-wide backup holds the roles and tablespaces
+  if (config.globalsOnly) {
+    return backupPostgresGlobals(name, config, backupPath, options);
+  }
+
   console.log(`Starting PostgreSQL backup for: ${name}`);
 
+  const format = config.format || 'custom';
+  const compression = getCompression(config, DEFAULT_COMPRESSION_LEVEL);
+
+  // Older pg_dump versions fail with a cryptic "invalid compression specification"
+  const compressionSupport = checkPgDumpCompression(compression, getToolVersion('pg_dump'));
+  if (!compressionSupport.ok) {
+    throw new Error(compressionSupport.detail);
+  }
+  const args = [
+    `-h${config.host}`,
+    `-p${config.port}`,
+    `-U${config.username}`,
+    `--format=${format}`,
+    getCompressArg(compression),
+    '--verbose',
+    '--no-password',
+    ...getFilterArgs(config),
+    ...(config.extraArgs || []),
+    config.database
+  ];
+
+  if (format === 'directory') {
+    return backupPostgresDirectory(name, config, backupPath, args, compression, options);
+  }
+
   return new Promise((resolve, reject) => {
-    const args = [
-      `-h${config.host}`,
-      `-p${config.port}`,
-      `-U${config.username}`,
-      '--format=custom',
-      '--compress=9',
-      '--verbose',
-      '--no-password',
-      config.database
-    ];
 
     // Set up environment for pg_dump
-    const env = { ...process.env };
-    if (config.password) {
-      env.PGPASSWORD = config.password;
-    }
+    const env = getPostgresEnv(config);
 
-    // Create write stream
-    const writeStream = fs.createWriteStream(backupPath);
+    // Write to the given stream (streaming mode) or to the backup file
+    const writeStream = options.stream || fs.createWriteStream(backupPath);
 
     // Spawn pg_dump process
-    const pgdump = spawn('pg_dump', args, { env });
+    const pgdump = spawn('pg_dump', args, { env, signal: options.signal });
 
     pgdump.stdout.pipe(writeStream);
 
+    let size = 0;
+    pgdump.stdout.on('data', (chunk) => {
+      size += chunk.length;
+    });
+
     let stderr = '';
 
     pgdump.stderr.on('data', (data) => {
@@ -53,8 +254,7 @@ export async function backupPostgres(name, config, backupPath) {
       if (code !== 0) {
         reject(new Error(`pg_dump exited with code ${code}: ${stderr}`));
       } else {
-        const stats = fs.statSync(backupPath);
-        const sizeMB = (stats.size / (1024 * 1024)).toFixed(2);
+        const sizeMB = (size / (1024 * 1024)).toFixed(2);
 
         // Check for actual errors in stderr
         if (stderr.toLowerCase().includes('error:')) {
@@ -63,11 +263,317 @@ export async function backupPostgres(name, config, backupPath) {
           console.log(`PostgreSQL backup completed: ${name} (${sizeMB} MB)`);
           resolve({
             path: backupPath,
-            size: stats.size,
-            database: name
+            size,
+            database: name,
+            tool: 'pg_dump',
+            toolVersion: getToolVersion('pg_dump'),
+            compression: { format: 'custom', ...compression }
           });
         }
       }
     });
   });
 }
+
+/**
+ * Dump the roles and tablespaces of a PostgreSQL server with pg_dumpall --globals-only (compressed SQL)
+ */
+export async function backupPostgresGlobals(name, config, backupPath, options = {}) {
+  console.log(`Starting PostgreSQL globals backup for: ${name}`);
+
+  const args = [
+    `-h${config.host}`,
+    `-p${config.port}`,
+    `-U${config.username}`,
+    '--globals-only',
+    '--no-password'
+  ];
+
+  const pgdumpall = spawn('pg_dumpall', args, { env: getPostgresEnv(config), signal: options.signal });
+
+  let stderr = '';
+  pgdumpall.stderr.on('data', (data) => {
+    stderr += data.toString();
+  });
+
+  const exited = new Promise((resolve, reject) => {
+    pgdumpall.on('error', (err) => {
+      reject(new Error(`pg_dumpall process error: ${err.message}`));
+    });
+    pgdumpall.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`pg_dumpall exited with code ${code}: ${stderr}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+
+  const compression = getCompression(config);
+  const [size] = await Promise.all([
+    compressStream(pgdumpall.stdout, options.stream || fs.createWriteStream(backupPath), compression),
+    exited
+  ]);
+
+  const sizeMB = (size / (1024 * 1024)).toFixed(2);
+  console.log(`PostgreSQL globals backup completed: ${name} (${sizeMB} MB)`);
+
+  return {
+    path: backupPath,
+    size,
+    database: name,
+    tool: 'pg_dumpall',
+    toolVersion: getToolVersion('pg_dumpall'),
+    compression: { format: 'sql', ...compression }
+  };
+}
+
+/**
+ * List the databases of the server that can be backed up (templates are left out)
+ */
+export async function listPostgresDatabases(config) {
+  const output = await queryPostgres(config, 'SELECT datname FROM pg_database WHERE datallowconn AND NOT datistemplate ORDER BY datname', 'postgres');
+  return output.split('\n').filter(Boolean);
+}
+
+/**
+ * Run a SQL query with psql and return its unaligned output
+ */
+export async function queryPostgres(config, sql, database = null) {
+  return new Promise((resolve, reject) => {
+    const args = [
+      `-h${config.host}`,
+      `-p${config.port}`,
+      `-U${config.username}`,
+      `-d${database || config.database}`,
+      '--no-password',
+      '--no-psqlrc',
+      '--tuples-only',
+      '--no-align',
+      '--set=ON_ERROR_STOP=1',
+      '-c',
+      sql
+    ];
+
+    const psql = spawn('psql', args, { env: getPostgresEnv(config) });
+
+    let stdout = '';
+    let stderr = '';
+
+    psql.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    psql.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    psql.on('error', (err) => {
+      reject(new Error(`psql process error: ${err.message}`));
+    });
+
+    psql.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`psql exited with code ${code}: ${stderr}`));
+      } else {
+        resolve(stdout.trim());
+      }
+    });
+  });
+}
+
+/**
+ * Check whether a PostgreSQL database exists
+ */
+export async function postgresDatabaseExists(config) {
+  const database = config.database.replace(/'/g, "''");
+  const output = await queryPostgres(config, `SELECT 1 FROM pg_database WHERE datname = '${database}'`, 'postgres');
+  return output === '1';
+}
+
+/**
+ * Check whether a PostgreSQL database has no user tables (a missing database counts as empty)
+ */
+export async function isPostgresDatabaseEmpty(config) {
+  if (!(await postgresDatabaseExists(config))) {
+    return true;
+  }
+
+  const output = await queryPostgres(
+    config,
+    "SELECT COUNT(*) FROM information_schema.tables WHERE table_schema NOT IN ('pg_catalog', 'information_schema')"
+  );
+  return parseInt(output, 10) === 0;
+}
+
+/**
+ * Restore a custom-format dump, or the tar archive of a directory-format dump, into a PostgreSQL
+ * database using pg_restore
+ */
+export async function restorePostgres(name, config, backupPath, options = {}) {
+  if (config.globalsOnly) {
+    throw new Error(`Restore the globals backup of "${name}" with psql: gunzip -c <file> | psql (zstd -dc for .zst files)`);
+  }
+
+  // A directory-format dump is unpacked first, then restored with as many jobs as it was dumped
+  // (`options.jobs`, from its manifest), or as the database is configured with
+  if (backupPath.endsWith(`.${DIRECTORY_EXTENSION}`)) {
+    const dumpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lunasdb-pgrestore-'));
+    try {
+      await waitForProcess(spawn('tar', ['-xf', backupPath, '-C', dumpDir], { stdio: ['ignore', 'ignore', 'pipe'] }), 'tar');
+      return await restorePostgresDump(name, config, dumpDir, { ...options, jobs: options.jobs || config.jobs });
+    } finally {
+      fs.rmSync(dumpDir, { recursive: true, force: true });
+    }
+  }
+
+  return restorePostgresDump(name, config, backupPath, options);
+}
+
+/**
+ * Restore a custom-format dump file or a directory-format dump with pg_restore
+ */
+async function restorePostgresDump(name, config, dumpPath, options) {
+  console.log(`Starting PostgreSQL restore for: ${name}`);
+
+  // pg_restore needs an existing database to connect to
+  if (!(await postgresDatabaseExists(config))) {
+    console.log(`  Creating database: ${config.database}`);
+    await queryPostgres(config, `CREATE DATABASE "${config.database.replace(/"/g, '""')}"`, 'postgres');
+  }
+
+  return new Promise((resolve, reject) => {
+    const args = [
+      `-h${config.host}`,
+      `-p${config.port}`,
+      `-U${config.username}`,
+      `-d${config.database}`,
+      '--no-owner',
+      '--no-password',
+      '--exit-on-error'
+    ];
+
+    // Drop existing objects before recreating them
+    if (options.clean) {
+      args.push('--clean', '--if-exists');
+    }
+
+    if (options.jobs > 1) {
+      args.push(`--jobs=${options.jobs}`);
+    }
+
+    args.push(dumpPath);
+
+    const pgrestore = spawn('pg_restore', args, { env: getPostgresEnv(config) });
+
+    let stderr = '';
+
+    pgrestore.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    pgrestore.on('error', (err) => {
+      reject(new Error(`pg_restore process error: ${err.message}`));
+    });
+
+    pgrestore.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`pg_restore exited with code ${code}: ${stderr}`));
+      } else {
+        console.log(`PostgreSQL restore completed: ${name} -> ${config.database}`);
+        resolve({
+          database: config.database
+        });
+      }
+    });
+  });
+}
+
+/**
+ * Check that pg_dump is installed, the database is reachable and pg_dump can dump it
+ * Returns a list of { label, ok, detail }
+ */
+export async function checkPostgres(config) {
+  const toolVersion = getToolVersion('pg_dump');
+  const checks = [{ label: 'dump tool', ok: Boolean(toolVersion), detail: toolVersion || 'pg_dump not found' }];
+
+  // Globals are compressed by lunasdb (see check.js), dumps by pg_dump itself
+  if (toolVersion && !config.globalsOnly) {
+    checks.push({ label: 'compression', ...checkPgDumpCompression(getCompression(config, DEFAULT_COMPRESSION_LEVEL), toolVersion) });
+  }
+
+  let serverVersion;
+  try {
+    // Without a database name (a server-wide entry), the maintenance database as for discovery
+    const database = config.database || 'postgres';
+    serverVersion = parseInt(await queryPostgres(config, 'SHOW server_version_num', database), 10);
+    checks.push({ label: 'connection', ok: true, detail: `server ${(await queryPostgres(config, 'SHOW server_version', database)).split(' ')[0]}` });
+  } catch (error) {
+    checks.push({ label: 'connection', ok: false, detail: error.message });
+    return checks;
+  }
+
+  // pg_dump refuses to dump a server of a newer major version
+  const toolMajor = getMajorVersion(toolVersion);
+  const serverMajor = Math.floor(serverVersion / 10000);
+  if (toolMajor) {
+    checks.push({
+      label: 'compatibility',
+      ok: toolMajor >= serverMajor,
+      detail: toolMajor >= serverMajor
+        ? `pg_dump ${toolMajor} can dump PostgreSQL ${serverMajor}`
+        : `pg_dump ${toolMajor} cannot dump PostgreSQL ${serverMajor}, install pg_dump ${serverMajor} or newer`
+    });
+  }
+
+  return checks;
+}
+
+/**
+ * Validate the PostgreSQL specific options of a database: filters, output format and jobs
+ */
+function validatePostgresConfig(name, config) {
+  validateDumpOptions(name, config, { schemas: true, reservedArgs: RESERVED_DUMP_ARGS });
+
+  if (config.format !== undefined && !DUMP_FORMATS.includes(config.format)) {
+    throw new Error(`Database "${name}" has invalid format "${config.format}". Must be one of: ${DUMP_FORMATS.join(', ')}`);
+  }
+
+  if (config.jobs !== undefined) {
+    if (!Number.isInteger(config.jobs) || config.jobs < 1) {
+      throw new Error(`Database "${name}" has invalid jobs. Must be a positive integer`);
+    }
+    if (config.format !== 'directory') {
+      throw new Error(`Database "${name}" cannot use jobs without format: directory, pg_dump only dumps directories in parallel`);
+    }
+  }
+
+  // The directory is dumped to disk before it is packed, there is nothing to stream
+  if (config.format === 'directory' && config.streaming) {
+    throw new Error(`Database "${name}" cannot combine streaming with format: directory`);
+  }
+
+  if (config.compression && config.compression.threads !== undefined) {
+    throw new Error(`Database "${name}" cannot set compression.threads, pg_dump compresses with a single thread (use format: directory with jobs)`);
+  }
+}
+
+/**
+ * PostgreSQL dump driver
+ */
+export const postgresDriver = {
+  types: ['postgres', 'postgresql'],
+  // Globals backups are SQL, custom and directory dumps are compressed by pg_dump itself
+  extension: config => config.globalsOnly
+    ? withCompressionSuffix('sql', getCompression(config))
+    : config.format === 'directory' ? DIRECTORY_EXTENSION : 'dump',
+  extensions: ['dump', DIRECTORY_EXTENSION, ...getCompressedExtensions('sql')],
+  defaultPort: 5432,
+  requiredFields: ['database', 'host', 'username'],
+  validate: validatePostgresConfig,
+  backup: backupPostgres,
+  restore: restorePostgres,
+  isEmpty: isPostgresDatabaseEmpty,
+  listDatabases: listPostgresDatabases,
+  check: checkPostgres
+};
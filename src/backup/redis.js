@@ -0,0 +1,202 @@
+import { spawn, execSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { getCompression, withCompressionSuffix, getCompressedExtensions, compressSnapshot } from './compress.js';
+
+/**
+ * Get the version string reported by redis-cli, or null if it cannot be run
+ */
+function getToolVersion() {
+  try {
+    return execSync('redis-cli --version', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build redis-cli connection arguments
+ */
+function getConnectionArgs(config) {
+  const args = ['-h', config.host, '-p', String(config.port)];
+
+  if (config.username) {
+    args.push('--user', config.username);
+  }
+
+  if (config.password) {
+    args.push('-a', config.password, '--no-auth-warning');
+  }
+
+  // Add TLS options
+  if (config.ssl === true) {
+    args.push('--tls');
+    if (config.skipSslVerification) {
+      args.push('--insecure');
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Run redis-cli and return its output
+ */
+function runRedisCli(config, args, signal) {
+  return new Promise((resolve, reject) => {
+    const cli = spawn('redis-cli', [...getConnectionArgs(config), ...args], { signal });
+
+    let stdout = '';
+    let stderr = '';
+
+    cli.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    cli.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    cli.on('error', (err) => {
+      reject(new Error(`redis-cli process error: ${err.message}`));
+    });
+
+    cli.on('close', (code) => {
+      // redis-cli reports command errors on stdout
+      if (code !== 0 || /^(ERR|NOAUTH|WRONGPASS)/.test(stdout)) {
+        reject(new Error(`redis-cli failed: ${(stderr || stdout).trim()}`));
+      } else {
+        resolve(stdout.trim());
+      }
+    });
+  });
+}
+
+/**
+ * Trigger BGSAVE and wait until the server reports a new successful save
+ */
+async function waitForBgsave(config, signal) {
+  const lastSave = await runRedisCli(config, ['LASTSAVE'], signal);
+
+  try {
+    await runRedisCli(config, ['BGSAVE'], signal);
+  } catch (error) {
+    // A save already running will do, its completion is awaited below
+    if (!error.message.includes('already in progress')) {
+      throw error;
+    }
+  }
+
+  const timeout = (config.bgsaveTimeout || 300) * 1000;
+  const startTime = Date.now();
+
+  while (await runRedisCli(config, ['LASTSAVE'], signal) === lastSave) {
+    if (Date.now() - startTime > timeout) {
+      throw new Error(`BGSAVE did not complete within ${timeout / 1000}s`);
+    }
+    await sleep(1000, null, { signal });
+  }
+
+  const persistence = await runRedisCli(config, ['INFO', 'persistence'], signal);
+  if (!persistence.includes('rdb_last_bgsave_status:ok')) {
+    throw new Error('BGSAVE failed, see the Redis server log');
+  }
+}
+
+/**
+ * Create a Redis backup: an RDB snapshot, compressed
+ *
+ * With `rdbPath` (the server's dump.rdb, mounted into the container) a BGSAVE is triggered and
+ * the resulting file is captured, otherwise the snapshot is fetched over the network with
+ * `redis-cli --rdb`. An AbortSignal can be passed in options to stop the backup, and a writable
+ * `options.stream` to receive the compressed snapshot instead of the backup file
+ */
+export async function backupRedis(name, config, backupPath, options = {}) {
+  console.log(`Starting Redis backup for: ${name}`);
+
+  const snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lunasdb-redis-'));
+
+  try {
+    let snapshotPath;
+
+    if (config.rdbPath) {
+      console.log('  Using BGSAVE for backup');
+      await waitForBgsave(config, options.signal);
+      snapshotPath = config.rdbPath;
+    } else {
+      console.log('  Using redis-cli --rdb for backup');
+      snapshotPath = path.join(snapshotDir, 'dump.rdb');
+      await runRedisCli(config, ['--rdb', snapshotPath], options.signal);
+    }
+
+    const compression = getCompression(config);
+    const size = await compressSnapshot(snapshotPath, backupPath, compression, options);
+
+    const sizeMB = (size / (1024 * 1024)).toFixed(2);
+    console.log(`Redis backup completed: ${name} (${sizeMB} MB)`);
+
+    return {
+      path: backupPath,
+      size,
+      database: name,
+      tool: 'redis-cli',
+      toolVersion: getToolVersion(),
+      compression: { format: 'rdb', ...compression }
+    };
+  } finally {
+    fs.rmSync(snapshotDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Check that redis-cli is installed, the server answers and its RDB file is readable (BGSAVE mode)
+ * Returns a list of { label, ok, detail }
+ */
+export async function checkRedis(config) {
+  const toolVersion = getToolVersion();
+  const checks = [{ label: 'dump tool', ok: Boolean(toolVersion), detail: toolVersion || 'redis-cli not found' }];
+
+  try {
+    const info = await runRedisCli(config, ['INFO', 'server']);
+    const version = info.match(/redis_version:(\S+)/);
+    checks.push({ label: 'connection', ok: true, detail: version ? `server ${version[1]}` : 'server answered' });
+  } catch (error) {
+    checks.push({ label: 'connection', ok: false, detail: error.message });
+  }
+
+  if (config.rdbPath) {
+    try {
+      fs.accessSync(config.rdbPath, fs.constants.R_OK);
+      checks.push({ label: 'rdb file', ok: true, detail: config.rdbPath });
+    } catch (error) {
+      checks.push({ label: 'rdb file', ok: false, detail: `cannot read ${config.rdbPath}: ${error.code}` });
+    }
+  }
+
+  return checks;
+}
+
+/**
+ * Validate the Redis specific options of a database
+ */
+function validateRedisConfig(name, config) {
+  if (config.bgsaveTimeout !== undefined && !(Number.isInteger(config.bgsaveTimeout) && config.bgsaveTimeout > 0)) {
+    throw new Error(`Database "${name}" has invalid bgsaveTimeout. Must be a positive number of seconds`);
+  }
+}
+
+/**
+ * Redis dump driver
+ */
+export const redisDriver = {
+  types: ['redis'],
+  extension: config => withCompressionSuffix('rdb', getCompression(config)),
+  extensions: getCompressedExtensions('rdb'),
+  defaultPort: 6379,
+  requiredFields: ['host'],
+  validate: validateRedisConfig,
+  backup: backupRedis,
+  check: checkRedis
+};
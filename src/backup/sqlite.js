@@ -0,0 +1,115 @@
+import { spawn, execSync, execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getCompression, withCompressionSuffix, getCompressedExtensions, compressSnapshot } from './compress.js';
+
+/**
+ * Get the version string reported by sqlite3, or null if it cannot be run
+ */
+function getToolVersion() {
+  try {
+    return execSync('sqlite3 --version', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Take a consistent copy of a live SQLite database with VACUUM INTO
+ */
+function snapshotSQLite(config, snapshotPath, signal) {
+  return new Promise((resolve, reject) => {
+    const target = snapshotPath.replace(/'/g, "''");
+    const sqlite = spawn('sqlite3', ['-bail', config.path, `VACUUM INTO '${target}'`], { signal });
+
+    let stderr = '';
+
+    sqlite.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    sqlite.on('error', (err) => {
+      reject(new Error(`sqlite3 process error: ${err.message}`));
+    });
+
+    sqlite.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`sqlite3 exited with code ${code}: ${stderr}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Create a SQLite backup: an online copy of the database file, compressed
+ * An AbortSignal can be passed in options to kill the copy, and a writable
+ * `options.stream` to receive the compressed copy instead of the backup file
+ */
+export async function backupSQLite(name, config, backupPath, options = {}) {
+  console.log(`Starting SQLite backup for: ${name}`);
+
+  if (!fs.existsSync(config.path)) {
+    throw new Error(`SQLite database file not found: ${config.path}`);
+  }
+
+  const snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lunasdb-sqlite-'));
+  const snapshotPath = path.join(snapshotDir, path.basename(config.path));
+
+  try {
+    await snapshotSQLite(config, snapshotPath, options.signal);
+    const compression = getCompression(config);
+    const size = await compressSnapshot(snapshotPath, backupPath, compression, options);
+
+    const sizeMB = (size / (1024 * 1024)).toFixed(2);
+    console.log(`SQLite backup completed: ${name} (${sizeMB} MB)`);
+
+    return {
+      path: backupPath,
+      size,
+      database: name,
+      tool: 'sqlite3',
+      toolVersion: getToolVersion(),
+      compression: { format: 'sqlite', ...compression }
+    };
+  } finally {
+    fs.rmSync(snapshotDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Check that sqlite3 is installed and the database file can be opened
+ * Returns a list of { label, ok, detail }
+ */
+export async function checkSQLite(config) {
+  const toolVersion = getToolVersion();
+  const checks = [{ label: 'dump tool', ok: Boolean(toolVersion), detail: toolVersion || 'sqlite3 not found' }];
+
+  if (!fs.existsSync(config.path)) {
+    checks.push({ label: 'connection', ok: false, detail: `SQLite database file not found: ${config.path}` });
+  } else if (toolVersion) {
+    try {
+      const tables = execFileSync('sqlite3', ['-readonly', '-bail', config.path, 'SELECT COUNT(*) FROM sqlite_master'], { stdio: ['ignore', 'pipe', 'pipe'] });
+      checks.push({ label: 'connection', ok: true, detail: `${config.path} (${tables.toString().trim()} schema objects)` });
+    } catch (error) {
+      checks.push({ label: 'connection', ok: false, detail: (error.stderr || error.message).toString().trim() });
+    }
+  }
+
+  return checks;
+}
+
+/**
+ * SQLite dump driver
+ */
+export const sqliteDriver = {
+  types: ['sqlite'],
+  extension: config => withCompressionSuffix('sqlite', getCompression(config)),
+  extensions: getCompressedExtensions('sqlite'),
+  requiredFields: ['path'],
+  backup: backupSQLite,
+  check: checkSQLite,
+  describe: config => config.path
+};
@@ -0,0 +1,88 @@
+import net from 'net';
+import { getDatabaseDriver } from './drivers.js';
+import { checkStorage, describeStorage } from './storage/index.js';
+import { discoverDatabases, getDiscoveredEntry } from './discovery.js';
+import { getCompression, checkCompressionTool } from './backup/compress.js';
+
+/**
+ * Open (and close) a TCP connection to a host, for databases without a client-based check
+ */
+function probeTcp(host, port, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    socket.setTimeout(timeout);
+
+    socket.once('connect', () => {
+      socket.end();
+      resolve();
+    });
+    socket.once('timeout', () => {
+      socket.destroy();
+      reject(new Error(`connection to ${host}:${port} timed out`));
+    });
+    socket.once('error', (error) => {
+      socket.destroy();
+      reject(new Error(`cannot connect to ${host}:${port}: ${error.message}`));
+    });
+  });
+}
+
+/**
+ * Check that a database can be backed up: dump tool, connection, and every storage destination
+ * Returns a list of { label, ok, detail }
+ */
+export async function checkDatabase(name, config) {
+  const driver = getDatabaseDriver(config.type);
+  const checks = [];
+
+  // A server-wide entry lists its databases, the first one is used to check the connection.
+  // Without one, the server is checked without a database name rather than with '*'
+  let checkedConfig = config;
+  if (config.discover) {
+    checkedConfig = { ...config, database: null };
+    try {
+      const databases = await discoverDatabases(name, config);
+      if (databases.length > 0) {
+        checks.push({ label: 'discovery', ok: true, detail: `${databases.length} database(s): ${databases.join(', ')}` });
+        [, checkedConfig] = getDiscoveredEntry(name, config, databases[0]);
+      } else {
+        checks.push({ label: 'discovery', ok: false, detail: 'no databases discovered, check includeDatabases and excludeDatabases' });
+      }
+    } catch (error) {
+      checks.push({ label: 'discovery', ok: false, detail: error.message });
+    }
+  }
+
+  if (driver.check) {
+    checks.push(...await driver.check(checkedConfig));
+  }
+
+  // Drivers whose dump tool compresses by itself check the compression with it
+  const compressionCheck = checks.some(check => check.label === 'compression') ? null : checkCompressionTool(getCompression(config));
+  if (compressionCheck) {
+    checks.push(compressionCheck);
+  }
+
+  // Fall back to a plain TCP connection when the driver has no client to test with
+  if (!checks.some(check => check.label === 'connection') && config.host && config.port) {
+    try {
+      await probeTcp(config.host, config.port);
+      checks.push({ label: 'connection', ok: true, detail: `${config.host}:${config.port} reachable` });
+    } catch (error) {
+      checks.push({ label: 'connection', ok: false, detail: error.message });
+    }
+  }
+
+  for (const [index, storageConfig] of config.storage.entries()) {
+    const label = `storage[${index}]`;
+    const location = `${storageConfig.type} (${describeStorage(storageConfig)})`;
+
+    try {
+      checks.push({ label, ok: true, detail: `${location}: ${await checkStorage(storageConfig, name)}` });
+    } catch (error) {
+      checks.push({ label, ok: false, detail: `${location}: ${error.message}` });
+    }
+  }
+
+  return checks;
+}
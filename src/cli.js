@@ -1,7 +1,8 @@
-import { Command } from 'commander';
+import { Command, InvalidArgumentError } from 'commander';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { LOG_FORMATS, LOG_LEVELS } from './output.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -9,10 +10,11 @@ const packageJson = JSON.parse(readFileSync(join(__dirname, '../package.json'),
 
 /**
  * Parse command-line arguments
- * @returns {Object} Parsed options: { config?: string, database?: string[] }
+ * @returns {Object} Parsed options: { command: 'backup'|'restore'|'rotate'|'daemon'|'verify-integrity'|'check'|'backups', config?: string, database?: string[], ... }
  */
 export function parseArguments() {
   const program = new Command();
+  let parsed = null;
 
   program
     .name('cronos')
@@ -24,9 +26,83 @@ export function parseArguments() {
     .option('-d, --database <name>', 'backup specific database(s) - can be used multiple times', (value, previous) => {
       return previous ? [...previous, value] : [value];
     })
-    .option('-l, --list', 'list all databases in configuration and exit');
+    .option('-l, --list', 'list all databases in configuration and exit')
+    .option('--concurrency <n>', 'number of databases backed up in parallel (default: concurrency setting or 1)', (value) => {
+      const concurrency = parseInt(value, 10);
+      if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new InvalidArgumentError('Must be a positive integer.');
+      }
+      return concurrency;
+    })
+    .option('--log-format <format>', 'log output: text or json, one event per line (default: LOG_FORMAT env var or text)', (value) => {
+      if (!LOG_FORMATS.includes(value)) {
+        throw new InvalidArgumentError(`Must be one of: ${LOG_FORMATS.join(', ')}.`);
+      }
+      return value;
+    })
+    .option('--log-level <level>', 'minimum level logged: debug, info, warn or error (default: LOG_LEVEL env var or info)', (value) => {
+      if (!LOG_LEVELS.includes(value)) {
+        throw new InvalidArgumentError(`Must be one of: ${LOG_LEVELS.join(', ')}.`);
+      }
+      return value;
+    })
+    .action((options) => {
+      parsed = { command: 'backup', ...options };
+    });
+
+  program
+    .command('restore <name>')
+    .description('restore a backup of a configured database')
+    .option('--from <storage>', 'storage to restore from: index, profile name or type (default: first configured storage)')
+    .option('--backup <filename>', 'backup file to restore (default: latest)')
+    .option('--latest', 'restore the most recent backup')
+    .option('--target-host <host>', 'restore into another host (default: configured host)')
+    .option('--target-port <port>', 'port of the target host (default: configured port)', (value) => parseInt(value, 10))
+    .option('--target-database <name>', 'restore into another database (default: configured database)')
+    .option('--force', 'overwrite the target database even if it is not empty')
+    .action((name, options, command) => {
+      parsed = { command: 'restore', name, ...command.optsWithGlobals() };
+    });
+
+  program
+    .command('rotate')
+    .description('apply retention policies to stored backups')
+    .option('--dry-run', 'print which backups would be deleted and why, without deleting anything')
+    .action((options, command) => {
+      parsed = { command: 'rotate', ...command.optsWithGlobals() };
+    });
+
+  program
+    .command('daemon')
+    .description('stay running and back up databases on their cron schedule')
+    .action((options, command) => {
+      parsed = { command: 'daemon', ...command.optsWithGlobals() };
+    });
+
+  program
+    .command('verify-integrity')
+    .description('re-hash stored backups and compare them with their manifests')
+    .action((options, command) => {
+      parsed = { command: 'verify-integrity', ...command.optsWithGlobals() };
+    });
+
+  program
+    .command('backups')
+    .description('list the stored backups of each database in every storage destination')
+    .option('--storage <type>', 'only list the storage destinations of this type or profile name')
+    .option('--json', 'print the inventory as JSON')
+    .action((options, command) => {
+      parsed = { command: 'backups', ...command.optsWithGlobals() };
+    });
+
+  program
+    .command('check')
+    .description('validate the configuration and test tools, connections, storages and webhook without taking backups')
+    .action((options, command) => {
+      parsed = { command: 'check', ...command.optsWithGlobals() };
+    });
 
   program.parse();
 
-  return program.opts();
+  return parsed;
 }
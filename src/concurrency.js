@@ -0,0 +1,57 @@
+/**
+ * Run a worker over items with at most `concurrency` running at once
+ *
+ * When `groupOf` is given, at most `groupConcurrency` items of the same group run at once
+ * (e.g. databases on the same host), items whose group is null are not limited.
+ * Results are returned in the order of the items.
+ */
+export async function runWithConcurrency(items, worker, { concurrency = 1, groupOf = null, groupConcurrency = Infinity } = {}) {
+  const results = new Array(items.length);
+  const pending = items.map((item, index) => ({ item, index }));
+  const activePerGroup = new Map();
+  let active = 0;
+
+  return new Promise((resolve, reject) => {
+    const next = () => {
+      if (pending.length === 0 && active === 0) {
+        resolve(results);
+        return;
+      }
+
+      while (active < concurrency) {
+        // Pick the first item whose group still has a free slot
+        const position = pending.findIndex(({ item }) => {
+          const group = groupOf ? groupOf(item) : null;
+          return group === null || (activePerGroup.get(group) || 0) < groupConcurrency;
+        });
+        if (position === -1) {
+          break;
+        }
+
+        const [{ item, index }] = pending.splice(position, 1);
+        const group = groupOf ? groupOf(item) : null;
+
+        active++;
+        if (group !== null) {
+          activePerGroup.set(group, (activePerGroup.get(group) || 0) + 1);
+        }
+
+        Promise.resolve()
+          .then(() => worker(item, index))
+          .then(result => {
+            results[index] = result;
+          })
+          .catch(reject)
+          .finally(() => {
+            active--;
+            if (group !== null) {
+              activePerGroup.set(group, activePerGroup.get(group) - 1);
+            }
+            next();
+          });
+      }
+    };
+
+    next();
+  });
+}
@@ -1,6 +1,200 @@
 import yaml from 'js-yaml';
 import fs from 'fs';
 import path from 'path';
+import { Cron } from 'croner';
+import { parseDuration } from './retention.js';
+import { getDatabaseDriver, getDatabaseTypes, getStorageDriver, getStorageTypes, loadPlugins } from './drivers.js';
+import { collectSecrets, registerSecret } from './secrets.js';
+import { validateNotification } from './notifications/index.js';
+import { validateHooks, resolveHooks } from './hooks.js';
+import { validateCompression } from './backup/compress.js';
+import { ConfigError } from './errors.js';
+
+/**
+ * `${VAR}` or `${VAR:-default}` reference to an environment variable, `$${...}` is kept literally
+ */
+const ENV_REFERENCE = /\$(\$?)\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+/**
+ * Config keys holding numbers or booleans: a value made of a single `${VAR}` reference keeps
+ * that type, every other value stays a string (e.g. a database named "2024")
+ */
+const TYPED_KEYS = [
+  'port', 'keep', 'keepLast', 'daily', 'weekly', 'monthly', 'yearly', 'minKeep', 'maxAge',
+  'concurrency', 'concurrencyPerHost', 'shutdownTimeout', 'timeout', 'retries', 'jobs', 'level', 'threads', 'bgsaveTimeout',
+  'enabled', 'streaming', 'discover', 'globals', 'ssl', 'skipSslVerification', 'strictHostKeyChecking', 'secure', 'required', 'encryption'
+];
+
+/**
+ * Describe where a value sits in the configuration, for error messages
+ */
+function describeLocation(keyPath) {
+  if (keyPath[0] === 'databases' && keyPath.length > 1) {
+    const field = keyPath.slice(2).join('.');
+    return `database "${keyPath[1]}"${field ? ` (${field})` : ''}`;
+  }
+  return `"${keyPath.join('.')}"`;
+}
+
+/**
+ * Replace the environment variable references of a string value
+ * A value made of a single reference of a typed key keeps its type, so `port: ${DB_PORT}` stays a number
+ */
+function interpolateString(value, keyPath) {
+  const interpolated = value.replace(ENV_REFERENCE, (match, escaped, variable, fallback) => {
+    if (escaped) {
+      return match.slice(1);
+    }
+
+    // Like the shell, the default also applies to an empty variable
+    const envValue = process.env[variable];
+    if (envValue !== undefined && envValue !== '') {
+      return envValue;
+    }
+    if (fallback !== undefined) {
+      return fallback;
+    }
+
+    throw new Error(`Environment variable "${variable}" is not set, used by ${describeLocation(keyPath)}`);
+  });
+
+  if (TYPED_KEYS.includes(keyPath[keyPath.length - 1]) && /^\$\{[^}]+\}$/.test(value)) {
+    if (/^(0|[1-9]\d*)$/.test(interpolated)) {
+      return Number(interpolated);
+    }
+    if (interpolated === 'true' || interpolated === 'false') {
+      return interpolated === 'true';
+    }
+  }
+
+  return interpolated;
+}
+
+/**
+ * Read a secret from a file (e.g. a Docker or Kubernetes secret mount)
+ */
+function readSecretFile(file, keyPath) {
+  if (typeof file !== 'string' || !fs.existsSync(file)) {
+    throw new Error(`Secret file not found: ${file}, used by ${describeLocation(keyPath)}`);
+  }
+
+  // Secret mounts and `echo` usually leave a trailing newline
+  const secret = fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+  registerSecret(secret);
+  return secret;
+}
+
+/**
+ * Whether a config path is a hooks block (global, database or defaults level)
+ */
+function isHooksPath(keyPath) {
+  return (keyPath.length === 1 && keyPath[0] === 'hooks') ||
+    (keyPath.length === 2 && keyPath[0] === 'defaults' && keyPath[1] === 'hooks') ||
+    (keyPath.length === 3 && keyPath[0] === 'databases' && keyPath[2] === 'hooks');
+}
+
+/**
+ * Resolve environment variables and secret files in a parsed configuration
+ *
+ * Any string value may reference environment variables. In any object, `passwordFile: <path>`
+ * and `<key>_FILE: <path>` set `password` and `<key>` to the content of the file.
+ * Hooks are left untouched: their commands are shell commands, which expand `${VAR}` themselves
+ * (including the LUNASDB_* variables of the backup).
+ */
+function resolveConfigValues(value, keyPath = []) {
+  if (isHooksPath(keyPath)) {
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    return interpolateString(value, keyPath);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) => resolveConfigValues(item, [...keyPath, index]));
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const resolved = {};
+  for (const [key, item] of Object.entries(value)) {
+    resolved[key] = resolveConfigValues(item, [...keyPath, key]);
+  }
+
+  for (const key of Object.keys(resolved)) {
+    const target = key === 'passwordFile' ? 'password' : key.endsWith('_FILE') ? key.slice(0, -'_FILE'.length) : null;
+    if (!target) {
+      continue;
+    }
+
+    if (resolved[target] !== undefined) {
+      throw new Error(`${key} cannot be combined with ${target}, used by ${describeLocation([...keyPath, key])}`);
+    }
+
+    resolved[target] = readSecretFile(resolved[key], [...keyPath, key]);
+    delete resolved[key];
+  }
+
+  return resolved;
+}
+
+/**
+ * Validate an encryption configuration (database or storage level)
+ */
+function validateEncryptionConfig(name, encryption, label) {
+  // `encryption: false` disables encryption inherited from the database
+  if (encryption === false) {
+    return;
+  }
+
+  if (typeof encryption !== 'object' || encryption === null || Array.isArray(encryption)) {
+    throw new Error(`Database "${name}" has invalid ${label}. Must be an object`);
+  }
+
+  if (encryption.recipients !== undefined && !Array.isArray(encryption.recipients)) {
+    throw new Error(`Database "${name}" has invalid ${label}.recipients. Must be a list of public key files`);
+  }
+
+  const recipients = encryption.recipients || [];
+  if (!encryption.passphrase && !encryption.keyFile && recipients.length === 0) {
+    throw new Error(`Database "${name}" ${label} must specify a passphrase, keyFile or recipients`);
+  }
+
+  for (const file of [encryption.keyFile, ...recipients].filter(Boolean)) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Database "${name}" ${label} key file not found: ${file}`);
+    }
+  }
+}
+
+/**
+ * Validate the retention policy of a storage configuration
+ */
+function validateRetentionConfig(name, retention, storageLabel) {
+  if (typeof retention !== 'object' || retention === null || Array.isArray(retention)) {
+    throw new Error(`Database "${name}" has invalid ${storageLabel}.retention. Must be an object`);
+  }
+
+  const countFields = ['keepLast', 'daily', 'weekly', 'monthly', 'yearly', 'minKeep'];
+  const validFields = [...countFields, 'maxAge'];
+
+  const unknown = Object.keys(retention).filter(field => !validFields.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Database "${name}" has unknown ${storageLabel}.retention fields: ${unknown.join(', ')}. Valid fields: ${validFields.join(', ')}`);
+  }
+
+  for (const field of countFields) {
+    if (retention[field] !== undefined && (!Number.isInteger(retention[field]) || retention[field] < 0)) {
+      throw new Error(`Database "${name}" has invalid ${storageLabel}.retention.${field}. Must be a positive integer`);
+    }
+  }
+
+  if (retention.maxAge !== undefined && parseDuration(retention.maxAge) === null) {
+    throw new Error(`Database "${name}" has invalid ${storageLabel}.retention.maxAge "${retention.maxAge}". Use a number of days or a duration like 36h, 30d, 8w, 6m, 1y`);
+  }
+}
 
 /**
  * Validate a single storage configuration
@@ -8,36 +202,157 @@ import path from 'path';
 function validateStorageConfig(name, storageConfig, storageIndex = null) {
   const storageLabel = storageIndex !== null ? `storage[${storageIndex}]` : 'storage';
 
-  const validStorageTypes = ['local', 's3'];
+  const validStorageTypes = getStorageTypes();
   if (!validStorageTypes.includes(storageConfig.type)) {
     throw new Error(`Database "${name}" has invalid ${storageLabel} type "${storageConfig.type}". Must be one of: ${validStorageTypes.join(', ')}`);
   }
 
-  if (storageConfig.type === 'local' && !storageConfig.path) {
-    throw new Error(`Database "${name}" with local ${storageLabel} must specify a path`);
+  const driver = getStorageDriver(storageConfig.type);
+  if (driver.validate) {
+    driver.validate(name, storageConfig, storageLabel);
+  }
+
+  if (storageConfig.encryption !== undefined) {
+    validateEncryptionConfig(name, storageConfig.encryption, `${storageLabel}.encryption`);
+  }
+
+  if (storageConfig.retention !== undefined) {
+    validateRetentionConfig(name, storageConfig.retention, storageLabel);
+  }
+}
+
+/**
+ * Validate a cron expression
+ */
+function validateSchedule(schedule, label) {
+  if (typeof schedule !== 'string') {
+    throw new Error(`${label} must be a cron expression string`);
+  }
+
+  let job;
+  try {
+    job = new Cron(schedule, { paused: true });
+  } catch (error) {
+    throw new Error(`${label} has invalid cron expression "${schedule}": ${error.message}`);
   }
 
-  if (storageConfig.type === 's3' && !storageConfig.bucket) {
-    throw new Error(`Database "${name}" with S3 ${storageLabel} must specify a bucket`);
+  // e.g. a date in the past, the daemon would never run it
+  if (!job.nextRun()) {
+    throw new Error(`${label} "${schedule}" never runs again`);
   }
 }
 
+/**
+ * Validate the restore verification configuration of a database
+ */
+function validateVerifyConfig(name, config) {
+  const verify = config.verify;
+
+  if (typeof verify !== 'object' || Array.isArray(verify)) {
+    throw new Error(`Database "${name}" has invalid verify configuration. Must be an object`);
+  }
+
+  if (verify.tables !== undefined && (!Array.isArray(verify.tables) || verify.tables.some(table => typeof table !== 'string'))) {
+    throw new Error(`Database "${name}" has invalid verify.tables. Must be a list of table names`);
+  }
+
+  if (verify.assertions !== undefined) {
+    if (!Array.isArray(verify.assertions)) {
+      throw new Error(`Database "${name}" has invalid verify.assertions. Must be a list`);
+    }
+    verify.assertions.forEach((assertion, index) => {
+      if (!assertion || typeof assertion.sql !== 'string') {
+        throw new Error(`Database "${name}" verify.assertions[${index}] must specify a sql query`);
+      }
+    });
+  }
+
+  // Every discovered database would be restored into the same scratch database
+  if (verify.database && config.discover) {
+    throw new Error(`Database "${name}" cannot combine discover with verify.database. Leave it out to get a scratch database per discovered database`);
+  }
+
+  // The scratch database is dropped after verification, never let it point to the source
+  const sameServer = (verify.host || config.host) === config.host && (!verify.port || verify.port === config.port);
+  if (sameServer && verify.database === config.database) {
+    throw new Error(`Database "${name}" verify.database must be different from the backed up database`);
+  }
+}
+
+/**
+ * Validate the options of a server-wide entry (`discover: true`)
+ */
+function validateDiscoveryConfig(name, config, driver) {
+  if (config.discover !== undefined && typeof config.discover !== 'boolean') {
+    throw new Error(`Database "${name}" has invalid discover setting. Must be true or false`);
+  }
+
+  if (!config.discover) {
+    for (const field of ['includeDatabases', 'excludeDatabases', 'globals']) {
+      if (config[field] !== undefined) {
+        throw new Error(`Database "${name}" has ${field}, which requires discover: true`);
+      }
+    }
+    return;
+  }
+
+  if (!driver.listDatabases) {
+    throw new Error(`Database "${name}" cannot use discover: listing databases is not supported for ${config.type}`);
+  }
+
+  if (config.database !== '*') {
+    throw new Error(`Database "${name}" cannot combine discover with database "${config.database}"`);
+  }
+
+  for (const field of ['includeDatabases', 'excludeDatabases']) {
+    if (config[field] !== undefined && (!Array.isArray(config[field]) || config[field].some(pattern => typeof pattern !== 'string' || pattern === ''))) {
+      throw new Error(`Database "${name}" has invalid ${field}. Must be a list of database names or glob patterns`);
+    }
+  }
+
+  if (config.globals !== undefined && typeof config.globals !== 'boolean') {
+    throw new Error(`Database "${name}" has invalid globals setting. Must be true or false`);
+  }
+
+  if (config.globals && !['postgres', 'postgresql'].includes(config.type.toLowerCase())) {
+    throw new Error(`Database "${name}" cannot use globals: roles and tablespaces are only dumped for PostgreSQL`);
+  }
+}
+
+/**
+ * Database types that can be verified (restore verification relies on SQL queries)
+ */
+const SQL_TYPES = ['mysql', 'mariadb', 'postgres', 'postgresql'];
+
 /**
  * Validate database configuration
  */
 function validateDatabaseConfig(name, config) {
-  const required = ['database', 'type', 'host', 'username'];
+  if (!config.type) {
+    throw new Error(`Database "${name}" is missing required fields: type`);
+  }
+
+  const validTypes = getDatabaseTypes();
+  if (!validTypes.includes(config.type.toLowerCase())) {
+    throw new Error(`Database "${name}" has invalid type "${config.type}". Must be one of: ${validTypes.join(', ')}`);
+  }
+
+  const driver = getDatabaseDriver(config.type);
+  const required = typeof driver.requiredFields === 'function' ? driver.requiredFields(config) : driver.requiredFields || [];
   const missing = required.filter(field => !config[field]);
 
   if (missing.length > 0) {
     throw new Error(`Database "${name}" is missing required fields: ${missing.join(', ')}`);
   }
 
-  const validTypes = ['mysql', 'mariadb', 'postgres', 'postgresql'];
-  if (!validTypes.includes(config.type.toLowerCase())) {
-    throw new Error(`Database "${name}" has invalid type "${config.type}". Must be one of: ${validTypes.join(', ')}`);
+  validateCompression(name, config);
+
+  if (driver.validate) {
+    driver.validate(name, config);
   }
 
+  validateDiscoveryConfig(name, config, driver);
+
   // Validate storage configuration (can be object or array)
   if (config.storage) {
     if (Array.isArray(config.storage)) {
@@ -53,12 +368,124 @@ function validateDatabaseConfig(name, config) {
       validateStorageConfig(name, config.storage);
     }
   }
+
+  if (config.verify) {
+    if (!SQL_TYPES.includes(config.type.toLowerCase())) {
+      throw new Error(`Database "${name}" cannot use verify: restore verification is only supported for MySQL, MariaDB and PostgreSQL`);
+    }
+    validateVerifyConfig(name, config);
+  }
+
+  if (config.encryption !== undefined) {
+    validateEncryptionConfig(name, config.encryption, 'encryption');
+  }
+
+  if (config.streaming !== undefined && typeof config.streaming !== 'boolean') {
+    throw new Error(`Database "${name}" has invalid streaming setting. Must be true or false`);
+  }
+
+  // Verification restores the dump file before it is stored, which streaming never writes
+  if (config.streaming && config.verify) {
+    throw new Error(`Database "${name}" cannot combine streaming with verify. Disable one of them`);
+  }
+
+  if (config.schedule !== undefined) {
+    validateSchedule(config.schedule, `Database "${name}" schedule`);
+  }
+
+  if (config.hooks !== undefined) {
+    validateHooks(config.hooks, `Database "${name}" hooks`);
+  }
+}
+
+/**
+ * Check that a configuration value is a plain object
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Validate the top-level `storages` profiles and `defaults` block
+ */
+function validateSharedConfig(config) {
+  if (config.storages !== undefined) {
+    if (!isPlainObject(config.storages)) {
+      throw new Error('Invalid storages configuration. Must map profile names to storage configurations');
+    }
+    for (const [profile, storageConfig] of Object.entries(config.storages)) {
+      if (!isPlainObject(storageConfig)) {
+        throw new Error(`Storage profile "${profile}" must be a storage configuration object`);
+      }
+    }
+  }
+
+  if (config.defaults !== undefined && !isPlainObject(config.defaults)) {
+    throw new Error('Invalid defaults configuration. Must be an object of database settings');
+  }
+}
+
+/**
+ * Resolve a storage entry of a database: a profile name, a profile with overrides
+ * (`{ profile: offsite-s3, prefix: app/ }`) or an inline storage configuration
+ */
+function resolveStorageEntry(name, entry, storages) {
+  const profile = typeof entry === 'string' ? entry : isPlainObject(entry) ? entry.profile : undefined;
+  if (profile === undefined) {
+    return entry;
+  }
+
+  if (!Object.hasOwn(storages, profile)) {
+    const defined = Object.keys(storages);
+    throw new Error(`Database "${name}" references unknown storage profile "${profile}". ${defined.length > 0 ? `Defined profiles: ${defined.join(', ')}` : 'No storages are defined'}`);
+  }
+
+  // Each database gets its own copy, storage defaults are applied per database later on
+  const overrides = typeof entry === 'string' ? {} : entry;
+  return { ...structuredClone(storages[profile]), ...overrides, profile };
+}
+
+/**
+ * Build the effective configuration of a database: the `defaults` block, then the
+ * database settings, with storage profiles resolved
+ */
+function resolveDatabaseConfig(name, dbConfig, config) {
+  const resolved = { ...structuredClone(config.defaults || {}), ...(dbConfig || {}) };
+  const storages = config.storages || {};
+
+  if (Array.isArray(resolved.storage)) {
+    resolved.storage = resolved.storage.map(entry => resolveStorageEntry(name, entry, storages));
+  } else if (resolved.storage !== undefined) {
+    resolved.storage = resolveStorageEntry(name, resolved.storage, storages);
+  }
+
+  return resolved;
+}
+
+/**
+ * Load and validate a configuration, from a file path or from an already parsed object
+ * Throws a ConfigError when the configuration is missing or invalid
+ */
+export async function loadConfig(source = '/app/config.yaml') {
+  try {
+    if (isPlainObject(source)) {
+      // Plugin paths of an object configuration are relative to the working directory
+      return await parseConfig(structuredClone(source), process.cwd());
+    }
+
+    const configFile = findConfigFile(source);
+    console.log(`Loading configuration from: ${configFile}`);
+
+    return await parseConfig(yaml.load(fs.readFileSync(configFile, 'utf8')), path.dirname(path.resolve(configFile)));
+  } catch (error) {
+    throw error instanceof ConfigError ? error : new ConfigError(error.message, { cause: error });
+  }
 }
 
 /**
- * Load and parse configuration file
+ * Find the configuration file: the given path, or one of the default locations
  */
-export function loadConfig(configPath = '/app/config.yaml') {
+function findConfigFile(configPath) {
   // Try different possible config locations
   const possiblePaths = [
     configPath,
@@ -80,18 +507,43 @@ export function loadConfig(configPath = '/app/config.yaml') {
     throw new Error(`Configuration file not found. Tried: ${possiblePaths.join(', ')}`);
   }
 
-  console.log(`Loading configuration from: ${configFile}`);
+  return configFile;
+}
+
+/**
+ * Resolve and validate a parsed configuration
+ * `baseDir` is the directory plugin paths are relative to
+ */
+async function parseConfig(rawConfig, baseDir) {
+  if (!isPlainObject(rawConfig)) {
+    throw new Error('Configuration must be an object');
+  }
+
+  const config = resolveConfigValues(rawConfig);
+
+  // From now on, credentials are redacted from every output
+  collectSecrets(config);
 
-  const fileContents = fs.readFileSync(configFile, 'utf8');
-  const config = yaml.load(fileContents);
+  // Plugins register their drivers before the databases using them are validated
+  await loadPlugins(config.plugins, baseDir);
 
   // Validate configuration
   if (!config.databases || Object.keys(config.databases).length === 0) {
     throw new Error('Configuration must contain at least one database');
   }
 
+  validateSharedConfig(config);
+
+  // Global hooks run for every database, before the hooks of the database
+  if (config.hooks !== undefined) {
+    validateHooks(config.hooks, 'hooks');
+  }
+
   // Validate each database configuration
-  for (const [name, dbConfig] of Object.entries(config.databases)) {
+  for (const name of Object.keys(config.databases)) {
+    const dbConfig = resolveDatabaseConfig(name, config.databases[name], config);
+    config.databases[name] = dbConfig;
+
     // Set enabled default and normalize to boolean
     if (dbConfig.enabled === undefined || dbConfig.enabled === null) {
       dbConfig.enabled = true;
@@ -105,11 +557,23 @@ export function loadConfig(configPath = '/app/config.yaml') {
       continue;
     }
 
+    // A server-wide entry backs up every database of its server, `database: '*'` is a shorthand
+    if (dbConfig.database === '*') {
+      dbConfig.discover = true;
+    } else if (dbConfig.discover === true && !dbConfig.database) {
+      dbConfig.database = '*';
+    }
+
     validateDatabaseConfig(name, dbConfig);
 
     // Set defaults
-    if (!dbConfig.port) {
-      dbConfig.port = dbConfig.type === 'postgres' || dbConfig.type === 'postgresql' ? 5432 : 3306;
+    if (!dbConfig.port && !dbConfig.uri) {
+      dbConfig.port = getDatabaseDriver(dbConfig.type).defaultPort || null;
+    }
+
+    // File and key-value stores have no database name, use the file name or the config name
+    if (!dbConfig.database) {
+      dbConfig.database = dbConfig.path ? path.basename(dbConfig.path) : name;
     }
 
     // Normalize storage to array format
@@ -125,25 +589,115 @@ export function loadConfig(configPath = '/app/config.yaml') {
       dbConfig.storage = [dbConfig.storage];
     }
 
-    // Apply defaults to each storage configuration
+    // Apply defaults to each storage configuration (`keep` is the shorthand retention policy)
     dbConfig.storage.forEach(storageConfig => {
-      if (!storageConfig.keep) {
+      if (!storageConfig.keep && !storageConfig.retention) {
         storageConfig.keep = 10;
       }
     });
+
+    // Normalize hooks to the commands of each event, global ones included
+    dbConfig.hooks = resolveHooks(config.hooks, dbConfig.hooks);
+  }
+
+  // Validate scheduler settings (daemon mode)
+  if (config.schedule !== undefined) {
+    validateSchedule(config.schedule, 'Global schedule');
+  }
+
+  if (config.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: config.timezone });
+    } catch (error) {
+      throw new Error(`Invalid timezone: ${config.timezone}`);
+    }
+  }
+
+  if (config.shutdownTimeout !== undefined && (typeof config.shutdownTimeout !== 'number' || config.shutdownTimeout < 0)) {
+    throw new Error('shutdownTimeout must be a number of seconds');
+  }
+
+  // Validate parallelism settings
+  for (const field of ['concurrency', 'concurrencyPerHost']) {
+    if (config[field] !== undefined && (!Number.isInteger(config[field]) || config[field] < 1)) {
+      throw new Error(`${field} must be a positive integer`);
+    }
+  }
+
+  // Parallel backups must not restore into the same scratch database
+  if ((config.concurrency || 1) > 1) {
+    const scratchDatabases = new Map();
+    for (const [name, dbConfig] of Object.entries(config.databases)) {
+      if (!dbConfig.enabled || !dbConfig.verify || !dbConfig.verify.database) {
+        continue;
+      }
+      const key = `${dbConfig.verify.host || dbConfig.host}:${dbConfig.verify.port || dbConfig.port}/${dbConfig.verify.database}`;
+      if (scratchDatabases.has(key)) {
+        throw new Error(`Databases "${scratchDatabases.get(key)}" and "${name}" share verify.database "${dbConfig.verify.database}", which concurrency ${config.concurrency} would restore into at the same time`);
+      }
+      scratchDatabases.set(key, name);
+    }
+  }
+
+  // Validate metrics settings
+  if (config.metrics !== undefined) {
+    if (!isPlainObject(config.metrics)) {
+      throw new Error('Invalid metrics configuration. Must be an object');
+    }
+    if (!config.metrics.textfile && !config.metrics.port) {
+      throw new Error('metrics must specify a textfile, a port, or both');
+    }
+    for (const field of ['textfile', 'stateFile', 'host']) {
+      if (config.metrics[field] !== undefined && typeof config.metrics[field] !== 'string') {
+        throw new Error(`metrics.${field} must be a string`);
+      }
+    }
+    if (config.metrics.port !== undefined && !(Number.isInteger(config.metrics.port) && config.metrics.port > 0 && config.metrics.port < 65536)) {
+      throw new Error('metrics.port must be a port number');
+    }
   }
 
-  // Validate webhook URL if provided
+  // Validate webhook if provided (a URL, or an object with the options of a webhook notification)
   if (config.webhook) {
-    if (typeof config.webhook !== 'string') {
+    if (typeof config.webhook === 'object' && !Array.isArray(config.webhook)) {
+      validateNotification({ ...config.webhook, type: 'webhook' }, 'webhook');
+    } else if (typeof config.webhook !== 'string') {
       throw new Error('Webhook must be a valid URL string');
+    } else {
+      try {
+        new URL(config.webhook);
+      } catch (error) {
+        throw new Error(`Invalid webhook URL: ${config.webhook}`);
+      }
     }
-    try {
-      new URL(config.webhook);
-    } catch (error) {
-      throw new Error(`Invalid webhook URL: ${config.webhook}`);
+  }
+
+  // Validate notifications
+  if (config.notifications !== undefined) {
+    if (!Array.isArray(config.notifications)) {
+      throw new Error('Invalid notifications configuration. Must be a list');
     }
+    config.notifications.forEach((notification, index) => {
+      validateNotification(notification, `notifications[${index}]`);
+    });
   }
 
   return config;
 }
+
+/**
+ * Select databases of a loaded configuration: the given names, or all enabled databases
+ * Returns a list of [name, dbConfig] entries, throws a ConfigError for unknown names
+ */
+export function selectDatabases(config, names) {
+  if (!names || names.length === 0) {
+    return Object.entries(config.databases).filter(([_, dbConfig]) => dbConfig.enabled !== false);
+  }
+
+  const missingDatabases = names.filter(name => !config.databases[name]);
+  if (missingDatabases.length > 0) {
+    throw new ConfigError(`The following databases are not defined in config: ${missingDatabases.join(', ')}`);
+  }
+
+  return names.map(name => [name, config.databases[name]]);
+}
@@ -0,0 +1,102 @@
+import { Cron } from 'croner';
+import { logger } from './output.js';
+
+/**
+ * Run scheduled backups until SIGTERM/SIGINT
+ *
+ * Each database is backed up on its own `schedule` cron expression (or the global one), in the
+ * global `timezone`. A run is skipped while the previous run of the same database is still in
+ * progress. On shutdown, scheduling stops and in-flight backups get `shutdownTimeout` seconds to
+ * finish before they are aborted; a second signal aborts them immediately.
+ *
+ * `handlers.backup(name, dbConfig, { signal })` performs a backup and returns its results (one per
+ * database of a server-wide entry), `handlers.report(results)` prints and notifies them.
+ */
+export async function runDaemon(config, databases, handlers) {
+  const timezone = config.timezone;
+  const shutdownTimeout = (config.shutdownTimeout !== undefined ? config.shutdownTimeout : 300) * 1000;
+  const controller = new AbortController();
+  const running = new Map();
+  const jobs = new Map();
+
+  /**
+   * Start a backup unless the previous one of the same database is still running
+   */
+  function trigger(name, dbConfig) {
+    if (running.has(name)) {
+      logger.warn(`⚠️  Skipping scheduled backup of ${name}: previous run still in progress`);
+      return;
+    }
+
+    const run = (async () => {
+      const results = await handlers.backup(name, dbConfig, { signal: controller.signal });
+      await handlers.report(results);
+    })()
+      .catch(error => {
+        console.error(`✗ Scheduled backup of ${name} failed: ${error.message}`);
+      })
+      .finally(() => {
+        running.delete(name);
+        const job = jobs.get(name);
+        if (!controller.signal.aborted && job.nextRun()) {
+          console.log(`Next backup of ${name}: ${job.nextRun().toISOString()}`);
+        }
+      });
+
+    running.set(name, run);
+  }
+
+  console.log(`Starting daemon${timezone ? ` (timezone: ${timezone})` : ''}`);
+
+  for (const [name, dbConfig] of databases) {
+    const schedule = dbConfig.schedule || config.schedule;
+    if (!schedule) {
+      logger.warn(`⚠️  No schedule for ${name}, it will not be backed up`);
+      continue;
+    }
+
+    const job = new Cron(schedule, { timezone }, () => trigger(name, dbConfig));
+    jobs.set(name, job);
+    const nextRun = job.nextRun();
+    console.log(`  - ${name}: ${schedule} (next run: ${nextRun ? nextRun.toISOString() : 'none'})`);
+  }
+
+  if (jobs.size === 0) {
+    throw new Error('No database has a schedule. Set "schedule" globally or per database');
+  }
+
+  return new Promise((resolve) => {
+    let stopping = false;
+
+    const shutdown = async (signal) => {
+      if (stopping) {
+        console.log(`\nReceived ${signal} again, aborting in-flight backups`);
+        controller.abort();
+        return;
+      }
+      stopping = true;
+
+      console.log(`\nReceived ${signal}, stopping scheduler...`);
+      for (const job of jobs.values()) {
+        job.stop();
+      }
+
+      if (running.size > 0) {
+        console.log(`Waiting for ${running.size} in-flight backup(s) to finish (timeout: ${shutdownTimeout / 1000}s)`);
+        const timer = setTimeout(() => {
+          console.log('Shutdown timeout reached, aborting in-flight backups');
+          controller.abort();
+        }, shutdownTimeout);
+
+        await Promise.allSettled(running.values());
+        clearTimeout(timer);
+      }
+
+      console.log('Daemon stopped');
+      resolve();
+    };
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+  });
+}
@@ -0,0 +1,117 @@
+import { getDatabaseDriver } from './drivers.js';
+import { matchesPattern } from './backup/filters.js';
+import { logger } from './output.js';
+
+/**
+ * Options of a server-wide entry, which the configurations of its discovered databases do not keep
+ */
+const DISCOVERY_FIELDS = ['discover', 'includeDatabases', 'excludeDatabases', 'globals'];
+
+/**
+ * Copy the configuration of a server-wide entry without its discovery options
+ */
+function withoutDiscoveryFields(config) {
+  const copy = { ...config };
+  for (const field of DISCOVERY_FIELDS) {
+    delete copy[field];
+  }
+  return copy;
+}
+
+/**
+ * Build the configuration of a database discovered by a server-wide entry
+ * The entry name and the database name make its name, e.g. "shared.billing"
+ */
+export function getDiscoveredEntry(name, config, database) {
+  return [`${name}.${database}`, { ...withoutDiscoveryFields(config), database }];
+}
+
+/**
+ * Build the configuration of the PostgreSQL globals (roles and tablespaces) of a server-wide entry
+ */
+function getGlobalsEntry(name, config) {
+  const globals = { ...withoutDiscoveryFields(config), globalsOnly: true };
+  // A globals dump cannot be restored into a scratch database
+  delete globals.verify;
+
+  return [`${name}@globals`, globals];
+}
+
+/**
+ * Enumerate the databases of a server-wide entry, with its include/exclude patterns applied
+ */
+export async function discoverDatabases(name, config) {
+  const databases = await getDatabaseDriver(config.type).listDatabases(config);
+
+  return databases.filter(database => {
+    if (config.includeDatabases && !matchesPattern(database, config.includeDatabases)) {
+      return false;
+    }
+    if (matchesPattern(database, config.excludeDatabases)) {
+      return false;
+    }
+    // The name of a database ends up in backup file names
+    if (/[/\\]/.test(database)) {
+      logger.warn(`⚠️  Skipping database "${database}" of ${name}: its name cannot be used in a file name`);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Replace the server-wide entries of a list of [name, config] entries by one entry per
+ * discovered database, plus one for the PostgreSQL globals when `globals` is set
+ * Returns { databases, errors }: the expanded entries, and { name, error } for each server-wide
+ * entry whose databases could not be listed
+ */
+export async function expandDatabases(entries) {
+  const databases = [];
+  const errors = [];
+
+  for (const [name, config] of entries) {
+    if (!config.discover) {
+      databases.push([name, config]);
+      continue;
+    }
+
+    try {
+      const discovered = await discoverDatabases(name, config);
+      console.log(`Discovered ${discovered.length} database(s) on ${name}: ${discovered.join(', ') || 'none'}`);
+
+      if (config.globals) {
+        databases.push(getGlobalsEntry(name, config));
+      }
+      for (const database of discovered) {
+        databases.push(getDiscoveredEntry(name, config, database));
+      }
+    } catch (error) {
+      console.error(`✗ Could not list the databases of ${name}: ${error.message}`);
+      errors.push({ name, error: error.message });
+    }
+  }
+
+  return { databases, errors };
+}
+
+/**
+ * Find a database discovered by a server-wide entry from its name (e.g. "shared.billing"),
+ * without connecting to the server
+ * Returns its [name, config] entry, or null when no server-wide entry matches
+ */
+export function findDiscoveredEntry(config, name) {
+  for (const [entryName, entryConfig] of Object.entries(config.databases)) {
+    if (!entryConfig.discover) {
+      continue;
+    }
+
+    if (name === `${entryName}@globals` && entryConfig.globals) {
+      return getGlobalsEntry(entryName, entryConfig);
+    }
+    if (name.startsWith(`${entryName}.`) && name.length > entryName.length + 1) {
+      return getDiscoveredEntry(entryName, entryConfig, name.slice(entryName.length + 1));
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,212 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { registerBackupExtension } from './backup-files.js';
+import { mysqlDriver } from './backup/mysql.js';
+import { postgresDriver } from './backup/postgres.js';
+import { mongodbDriver } from './backup/mongodb.js';
+import { sqliteDriver } from './backup/sqlite.js';
+import { redisDriver } from './backup/redis.js';
+import { localDriver } from './storage/local.js';
+import { s3Driver } from './storage/s3.js';
+import { sftpDriver } from './storage/sftp.js';
+
+/**
+ * Registered dump drivers, keyed by database type
+ */
+const databaseDrivers = new Map();
+
+/**
+ * Registered storage drivers, keyed by storage type
+ */
+const storageDrivers = new Map();
+
+/**
+ * Check that a driver implements the given members
+ */
+function checkDriver(label, driver, members) {
+  const missing = members.filter(([member, kind]) => typeof driver[member] !== kind);
+  if (missing.length > 0) {
+    throw new Error(`${label} is missing: ${missing.map(([member]) => member).join(', ')}`);
+  }
+}
+
+/**
+ * Register a dump driver
+ *
+ * A dump driver has:
+ * - `types`: database types it handles (e.g. ['mysql', 'mariadb'])
+ * - `extension`: backup file extension without the leading dot (e.g. 'sql.gz'), or a function of the
+ *   database config returning it
+ * - `extensions`: every extension the `extension` function can return (required with a function)
+ * - `defaultPort`: port used when a database sets none (optional)
+ * - `requiredFields`: list of required database fields, or a function of the database config
+ * - `validate(name, config)`: throws on invalid type-specific options (optional)
+ * - `backup(name, config, backupPath, { signal, stream })`: dumps the database, resolves with
+ *   { path, size, tool, toolVersion, compression }
+ * - `restore(name, config, backupPath, { clean })` and `isEmpty(config)`: restore support (optional)
+ * - `listDatabases(config)`: names of the databases of the server, system databases excluded, for
+ *   server-wide entries (`discover: true`, optional)
+ * - `check(config)`: checks the dump tool and the connection for the check command, resolves with
+ *   a list of { label, ok, detail } (optional, the host and port are probed otherwise)
+ * - `describe(config)`: where the database is reached, for display (optional)
+ */
+export function registerDatabaseDriver(driver) {
+  if (!Array.isArray(driver.types) || driver.types.length === 0) {
+    throw new Error('Database driver must specify its database types');
+  }
+  checkDriver(`Database driver "${driver.types[0]}"`, driver, [['backup', 'function']]);
+  if (typeof driver.extension !== 'string' && !(typeof driver.extension === 'function' && Array.isArray(driver.extensions))) {
+    throw new Error(`Database driver "${driver.types[0]}" must specify its extension, or an extension function and its extensions`);
+  }
+
+  for (const type of driver.types) {
+    databaseDrivers.set(type.toLowerCase(), driver);
+  }
+  for (const extension of typeof driver.extension === 'string' ? [driver.extension] : driver.extensions) {
+    registerBackupExtension(`.${extension}`);
+  }
+}
+
+/**
+ * Get the backup file extension of a database
+ */
+export function getBackupExtension(config) {
+  const driver = getDatabaseDriver(config.type);
+  return typeof driver.extension === 'function' ? driver.extension(config) : driver.extension;
+}
+
+/**
+ * Register a storage driver
+ *
+ * A storage driver has:
+ * - `type`: storage type (e.g. 's3')
+ * - `validate(name, storageConfig, storageLabel)`: throws on invalid options (optional)
+ * - `save(backupFilePath, config, manifestPath)`: stores a backup and its manifest, resolves with its path
+ * - `list(storageConfig, dbName)`: backups of a database, newest first: [{ name, path, size, mtime }]
+ * - `delete(fileName, config)`: deletes a backup and its manifest
+ * - `download(fileName, config, destinationPath)`: downloads a stored file
+ * - `read(fileName, config)`: opens a read stream on a stored file (optional, used by verify-integrity)
+ * - `createWriteTarget(fileName, config)`: streaming upload, { stream, commit(manifest), abort() } (optional)
+ * - `check(storageConfig, dbName)`: checks that backups can be written, resolves with a description or
+ *   throws (optional, used by the check command)
+ * - `describe(storageConfig)`: where backups are kept, for display
+ *
+ * `config` is the database configuration with `storage` set to the single storage configuration.
+ */
+export function registerStorageDriver(driver) {
+  if (typeof driver.type !== 'string') {
+    throw new Error('Storage driver must specify its storage type');
+  }
+  checkDriver(`Storage driver "${driver.type}"`, driver, [
+    ['save', 'function'],
+    ['list', 'function'],
+    ['delete', 'function'],
+    ['download', 'function'],
+    ['describe', 'function']
+  ]);
+
+  storageDrivers.set(driver.type, driver);
+}
+
+/**
+ * Get the dump driver of a database type
+ */
+export function getDatabaseDriver(type) {
+  const driver = databaseDrivers.get(String(type).toLowerCase());
+  if (!driver) {
+    throw new Error(`Unsupported database type: ${type}`);
+  }
+  return driver;
+}
+
+/**
+ * Describe where a database is reached (drivers can override it, e.g. to hide a connection URI)
+ */
+export function describeDatabaseHost(config) {
+  const driver = getDatabaseDriver(config.type);
+  if (driver.describe) {
+    return driver.describe(config);
+  }
+
+  return `${config.host}:${config.port || driver.defaultPort}`;
+}
+
+/**
+ * Get the driver of a storage type
+ */
+export function getStorageDriver(type) {
+  const driver = storageDrivers.get(type);
+  if (!driver) {
+    throw new Error(`Unsupported storage type: ${type}`);
+  }
+  return driver;
+}
+
+/**
+ * List the registered database types
+ */
+export function getDatabaseTypes() {
+  return [...databaseDrivers.keys()];
+}
+
+/**
+ * List the registered storage types
+ */
+export function getStorageTypes() {
+  return [...storageDrivers.keys()];
+}
+
+/**
+ * Load the plugins listed in the `plugins` config entry
+ *
+ * A plugin is an npm package or a file (relative to the config file) exporting a
+ * `register({ registerDatabaseDriver, registerStorageDriver })` function, named or default.
+ */
+export async function loadPlugins(plugins, baseDir) {
+  if (plugins === undefined) {
+    return;
+  }
+
+  if (!Array.isArray(plugins) || plugins.some(plugin => typeof plugin !== 'string')) {
+    throw new Error('Invalid plugins configuration. Must be a list of module names or paths');
+  }
+
+  const require = createRequire(path.join(baseDir, 'config.yaml'));
+
+  for (const plugin of plugins) {
+    let resolved;
+    try {
+      resolved = plugin.startsWith('.') || path.isAbsolute(plugin)
+        ? path.resolve(baseDir, plugin)
+        : require.resolve(plugin);
+    } catch {
+      // Fall back to the packages installed next to lunasdb
+      resolved = plugin;
+    }
+
+    let module;
+    try {
+      module = await import(fs.existsSync(resolved) ? pathToFileURL(resolved).href : resolved);
+    } catch (error) {
+      throw new Error(`Could not load plugin "${plugin}": ${error.message}`);
+    }
+
+    const register = typeof module.register === 'function' ? module.register : module.default;
+    if (typeof register !== 'function') {
+      throw new Error(`Plugin "${plugin}" must export a register function`);
+    }
+
+    await register({ registerDatabaseDriver, registerStorageDriver });
+    console.log(`Loaded plugin: ${plugin}`);
+  }
+}
+
+for (const driver of [mysqlDriver, postgresDriver, mongodbDriver, sqliteDriver, redisDriver]) {
+  registerDatabaseDriver(driver);
+}
+
+for (const driver of [localDriver, s3Driver, sftpDriver]) {
+  registerStorageDriver(driver);
+}
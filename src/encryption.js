@@ -0,0 +1,327 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Encrypted backup file format
+ *
+ *   "LUNASENC" | header length (uint32 BE) | JSON header | frames...
+ *
+ * A random data key encrypts the backup with AES-256-GCM in chunks. The header holds the data key
+ * wrapped once per key slot (passphrase, key file, public-key recipients) so any of them can decrypt.
+ * Each frame is: final flag (1 byte) | plaintext length (uint32 BE) | ciphertext | auth tag (16 bytes).
+ * The nonce is a random prefix + the frame counter + the final flag, and every frame is authenticated
+ * against the header, so frames cannot be reordered, truncated or moved between files.
+ */
+
+export const ENCRYPTED_EXTENSION = '.enc';
+
+const MAGIC = Buffer.from('LUNASENC');
+const CHUNK_SIZE = 64 * 1024;
+const TAG_LENGTH = 16;
+const FRAME_HEADER_LENGTH = 5;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+/**
+ * Derive a 256-bit key from a passphrase
+ */
+function deriveKey(passphrase, salt, params = SCRYPT_PARAMS) {
+  return crypto.scryptSync(passphrase, salt, 32, { ...params, maxmem: SCRYPT_PARAMS.maxmem });
+}
+
+/**
+ * Read a symmetric key file: 64 hex characters are used as the raw key,
+ * anything else is hashed with SHA-256
+ */
+function readKeyFile(keyFile) {
+  const contents = fs.readFileSync(keyFile);
+  const text = contents.toString('utf8').trim();
+
+  if (/^[0-9a-fA-F]{64}$/.test(text)) {
+    return Buffer.from(text, 'hex');
+  }
+  return crypto.createHash('sha256').update(contents).digest();
+}
+
+/**
+ * Fingerprint a public key so the matching private key can find its slot
+ */
+function fingerprint(publicKey) {
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex');
+}
+
+/**
+ * Wrap the data key with a symmetric key
+ */
+function wrapKey(dataKey, wrappingKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', wrappingKey, iv);
+  const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    key: wrapped.toString('base64')
+  };
+}
+
+/**
+ * Unwrap the data key with a symmetric key, returns null if the key does not match
+ */
+function unwrapKey(slot, wrappingKey) {
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', wrappingKey, Buffer.from(slot.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(slot.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(slot.key, 'base64')), decipher.final()]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the key slots protecting a new data key
+ */
+function createKeySlots(dataKey, encryption) {
+  const slots = [];
+
+  if (encryption.passphrase) {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p } = SCRYPT_PARAMS;
+    slots.push({
+      type: 'passphrase',
+      salt: salt.toString('base64'),
+      scrypt: { N, r, p },
+      ...wrapKey(dataKey, deriveKey(encryption.passphrase, salt))
+    });
+  }
+
+  if (encryption.keyFile) {
+    slots.push({
+      type: 'keyfile',
+      ...wrapKey(dataKey, readKeyFile(encryption.keyFile))
+    });
+  }
+
+  for (const recipient of encryption.recipients || []) {
+    const publicKey = crypto.createPublicKey(fs.readFileSync(recipient));
+    const wrapped = crypto.publicEncrypt(
+      { key: publicKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+      dataKey
+    );
+    slots.push({
+      type: 'recipient',
+      fingerprint: fingerprint(publicKey),
+      key: wrapped.toString('base64')
+    });
+  }
+
+  if (slots.length === 0) {
+    throw new Error('Encryption requires a passphrase, keyFile or recipients');
+  }
+
+  return slots;
+}
+
+/**
+ * Recover the data key from the header slots with the configured key material
+ */
+function openKeySlots(slots, encryption) {
+  for (const slot of slots) {
+    let dataKey = null;
+
+    if (slot.type === 'passphrase' && encryption.passphrase) {
+      dataKey = unwrapKey(slot, deriveKey(encryption.passphrase, Buffer.from(slot.salt, 'base64'), slot.scrypt));
+    } else if (slot.type === 'keyfile' && encryption.keyFile) {
+      dataKey = unwrapKey(slot, readKeyFile(encryption.keyFile));
+    } else if (slot.type === 'recipient' && encryption.privateKeyFile) {
+      const privateKey = crypto.createPrivateKey({
+        key: fs.readFileSync(encryption.privateKeyFile),
+        passphrase: encryption.privateKeyPassphrase
+      });
+      if (fingerprint(crypto.createPublicKey(privateKey)) === slot.fingerprint) {
+        dataKey = crypto.privateDecrypt(
+          { key: privateKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+          Buffer.from(slot.key, 'base64')
+        );
+      }
+    }
+
+    if (dataKey) {
+      return dataKey;
+    }
+  }
+
+  throw new Error('Unable to decrypt backup: none of the configured keys match');
+}
+
+/**
+ * Build the 12-byte nonce of a frame
+ */
+function frameNonce(noncePrefix, counter, final) {
+  const nonce = Buffer.alloc(12);
+  noncePrefix.copy(nonce, 0);
+  nonce.writeUInt32BE(counter, 7);
+  nonce[11] = final ? 1 : 0;
+  return nonce;
+}
+
+/**
+ * Create a transform stream encrypting its input
+ */
+export function createEncryptStream(encryption) {
+  const dataKey = crypto.randomBytes(32);
+  const noncePrefix = crypto.randomBytes(7);
+  const header = Buffer.from(JSON.stringify({
+    version: 1,
+    cipher: 'aes-256-gcm',
+    chunkSize: CHUNK_SIZE,
+    nonce: noncePrefix.toString('base64'),
+    slots: createKeySlots(dataKey, encryption)
+  }));
+  const aad = crypto.createHash('sha256').update(header).digest();
+
+  const headerLength = Buffer.alloc(4);
+  headerLength.writeUInt32BE(header.length);
+
+  let buffered = Buffer.alloc(0);
+  let counter = 0;
+
+  const encryptFrame = (plaintext, final) => {
+    const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, frameNonce(noncePrefix, counter++, final));
+    cipher.setAAD(aad);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    const frameHeader = Buffer.alloc(FRAME_HEADER_LENGTH);
+    frameHeader[0] = final ? 1 : 0;
+    frameHeader.writeUInt32BE(plaintext.length, 1);
+
+    return Buffer.concat([frameHeader, ciphertext, cipher.getAuthTag()]);
+  };
+
+  return new Transform({
+    construct(callback) {
+      this.push(Buffer.concat([MAGIC, headerLength, header]));
+      callback();
+    },
+    transform(chunk, encoding, callback) {
+      buffered = Buffer.concat([buffered, chunk]);
+
+      // Keep at least one byte buffered so the last frame is always emitted by flush()
+      while (buffered.length > CHUNK_SIZE) {
+        this.push(encryptFrame(buffered.subarray(0, CHUNK_SIZE), false));
+        buffered = buffered.subarray(CHUNK_SIZE);
+      }
+      callback();
+    },
+    flush(callback) {
+      this.push(encryptFrame(buffered, true));
+      callback();
+    }
+  });
+}
+
+/**
+ * Create a transform stream decrypting its input
+ */
+export function createDecryptStream(encryption) {
+  let buffered = Buffer.alloc(0);
+  let dataKey = null;
+  let noncePrefix = null;
+  let aad = null;
+  let counter = 0;
+  let finished = false;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      buffered = Buffer.concat([buffered, chunk]);
+
+      try {
+        // Parse header
+        if (!dataKey) {
+          if (buffered.length < MAGIC.length + 4) {
+            return callback();
+          }
+          if (!buffered.subarray(0, MAGIC.length).equals(MAGIC)) {
+            throw new Error('Not a lunasdb encrypted backup');
+          }
+          const headerLength = buffered.readUInt32BE(MAGIC.length);
+          const headerEnd = MAGIC.length + 4 + headerLength;
+          if (buffered.length < headerEnd) {
+            return callback();
+          }
+
+          const header = buffered.subarray(MAGIC.length + 4, headerEnd);
+          const parsed = JSON.parse(header.toString('utf8'));
+          if (parsed.version !== 1 || parsed.cipher !== 'aes-256-gcm') {
+            throw new Error(`Unsupported encrypted backup format (version ${parsed.version}, cipher ${parsed.cipher})`);
+          }
+
+          dataKey = openKeySlots(parsed.slots, encryption);
+          noncePrefix = Buffer.from(parsed.nonce, 'base64');
+          aad = crypto.createHash('sha256').update(header).digest();
+          buffered = buffered.subarray(headerEnd);
+        }
+
+        // Decrypt complete frames
+        while (buffered.length >= FRAME_HEADER_LENGTH) {
+          if (finished) {
+            throw new Error('Unexpected data after the final frame');
+          }
+
+          const final = buffered[0] === 1;
+          const length = buffered.readUInt32BE(1);
+          const frameLength = FRAME_HEADER_LENGTH + length + TAG_LENGTH;
+          if (buffered.length < frameLength) {
+            break;
+          }
+
+          const ciphertext = buffered.subarray(FRAME_HEADER_LENGTH, FRAME_HEADER_LENGTH + length);
+          const tag = buffered.subarray(FRAME_HEADER_LENGTH + length, frameLength);
+
+          const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, frameNonce(noncePrefix, counter++, final));
+          decipher.setAAD(aad);
+          decipher.setAuthTag(tag);
+          this.push(Buffer.concat([decipher.update(ciphertext), decipher.final()]));
+
+          finished = final;
+          buffered = buffered.subarray(frameLength);
+        }
+
+        callback();
+      } catch (error) {
+        callback(error.message.startsWith('Unsupported state') ? new Error('Encrypted backup is corrupted or was tampered with') : error);
+      }
+    },
+    flush(callback) {
+      if (!finished || buffered.length > 0) {
+        return callback(new Error('Encrypted backup is truncated'));
+      }
+      callback();
+    }
+  });
+}
+
+/**
+ * Encrypt a file to the given destination path
+ */
+export async function encryptFile(sourcePath, destinationPath, encryption) {
+  await pipeline(
+    fs.createReadStream(sourcePath),
+    createEncryptStream(encryption),
+    fs.createWriteStream(destinationPath)
+  );
+  return destinationPath;
+}
+
+/**
+ * Decrypt a file to the given destination path
+ */
+export async function decryptFile(sourcePath, destinationPath, encryption) {
+  await pipeline(
+    fs.createReadStream(sourcePath),
+    createDecryptStream(encryption),
+    fs.createWriteStream(destinationPath)
+  );
+  return destinationPath;
+}
@@ -0,0 +1,19 @@
+/**
+ * Base class of the errors thrown by the lunasdb API
+ */
+export class LunasdbError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * The configuration is missing or invalid, or refers to databases that are not defined
+ */
+export class ConfigError extends LunasdbError {}
+
+/**
+ * A restore could not be completed
+ */
+export class RestoreError extends LunasdbError {}
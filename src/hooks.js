@@ -0,0 +1,236 @@
+import { spawn } from 'child_process';
+import { redactSecrets } from './secrets.js';
+import { runWithLogContext, logger } from './output.js';
+
+/**
+ * Backup events hooks can run on, in the order they run
+ * - `preBackup`: before the dump, a failure aborts the backup
+ * - `postBackup`: after the backup, whatever its outcome
+ * - `onSuccess` / `onFailure`: after a successful / failed backup
+ */
+export const HOOK_EVENTS = ['preBackup', 'postBackup', 'onSuccess', 'onFailure'];
+
+/**
+ * Options of a hooks block, which apply to each of its commands unless the command sets its own
+ */
+const HOOK_OPTIONS = ['timeout', 'cwd', 'env'];
+
+/**
+ * Default time limit of a hook command, in seconds
+ */
+const DEFAULT_TIMEOUT = 300;
+
+/**
+ * Characters of hook output kept in backup results and notifications (the end of the output)
+ */
+const MAX_OUTPUT_LENGTH = 4000;
+
+/**
+ * Validate the timeout, working directory and environment options of a hooks block or command
+ */
+function validateHookOptions(options, label) {
+  if (options.timeout !== undefined && !(typeof options.timeout === 'number' && options.timeout > 0)) {
+    throw new Error(`${label} has invalid timeout. Must be a positive number of seconds`);
+  }
+
+  if (options.cwd !== undefined && (typeof options.cwd !== 'string' || options.cwd === '')) {
+    throw new Error(`${label} has invalid cwd. Must be a directory path`);
+  }
+
+  if (options.env !== undefined && (typeof options.env !== 'object' || options.env === null || Array.isArray(options.env) ||
+      Object.values(options.env).some(value => !['string', 'number', 'boolean'].includes(typeof value)))) {
+    throw new Error(`${label} has invalid env. Must map variable names to values`);
+  }
+}
+
+/**
+ * Validate a hooks block (global or database level)
+ * Each event takes a command, { command, timeout, cwd, env }, or a list of them
+ */
+export function validateHooks(hooks, label) {
+  if (typeof hooks !== 'object' || hooks === null || Array.isArray(hooks)) {
+    throw new Error(`${label} must be an object`);
+  }
+
+  const validFields = [...HOOK_EVENTS, ...HOOK_OPTIONS];
+  const unknown = Object.keys(hooks).filter(field => !validFields.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`${label} has unknown fields: ${unknown.join(', ')}. Valid fields: ${validFields.join(', ')}`);
+  }
+
+  validateHookOptions(hooks, label);
+
+  for (const event of HOOK_EVENTS) {
+    if (hooks[event] === undefined) {
+      continue;
+    }
+
+    const commands = [].concat(hooks[event]);
+    commands.forEach((hook, index) => {
+      const hookLabel = `${label}.${event}${Array.isArray(hooks[event]) ? `[${index}]` : ''}`;
+      if (typeof hook === 'string' && hook.trim() !== '') {
+        return;
+      }
+      if (typeof hook !== 'object' || hook === null || typeof hook.command !== 'string' || hook.command.trim() === '') {
+        throw new Error(`${hookLabel} must be a command or an object with a command`);
+      }
+      validateHookOptions(hook, hookLabel);
+    });
+  }
+}
+
+/**
+ * Merge the global and database hooks blocks into the commands to run for each event:
+ * { preBackup: [{ command, timeout, cwd, env }], ... }, global commands first
+ */
+export function resolveHooks(globalHooks, databaseHooks) {
+  const resolved = {};
+
+  for (const hooks of [globalHooks, databaseHooks]) {
+    if (!hooks) {
+      continue;
+    }
+
+    for (const event of HOOK_EVENTS) {
+      for (const hook of hooks[event] === undefined ? [] : [].concat(hooks[event])) {
+        const command = typeof hook === 'string' ? { command: hook } : hook;
+        (resolved[event] ||= []).push({
+          command: command.command,
+          timeout: command.timeout || hooks.timeout || DEFAULT_TIMEOUT,
+          cwd: command.cwd || hooks.cwd,
+          env: { ...hooks.env, ...command.env }
+        });
+      }
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Keep the end of a hook output, where errors usually are
+ */
+function truncateOutput(output) {
+  const text = redactSecrets(output).trimEnd();
+  return text.length > MAX_OUTPUT_LENGTH ? `...${text.slice(-MAX_OUTPUT_LENGTH)}` : text;
+}
+
+/**
+ * Run a hook command in a shell, with its stdout and stderr captured
+ * The command gets its own process group, so a timeout also stops the processes it started
+ * Resolves with { event, command, success, exitCode, output, duration, error }
+ */
+function runHookCommand(event, hook, env, signal) {
+  const startTime = Date.now();
+
+  return new Promise(resolve => {
+    let output = '';
+    let error = null;
+    let settled = false;
+
+    const child = spawn(hook.command, {
+      shell: true,
+      cwd: hook.cwd,
+      env: { ...process.env, ...hook.env, ...env },
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: true
+    });
+
+    const stop = (reason) => {
+      error = error || reason;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {
+        // Already exited
+      }
+    };
+
+    const timer = setTimeout(() => stop(`timed out after ${hook.timeout}s`), hook.timeout * 1000);
+    const onAbort = () => stop('aborted');
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    const finish = (exitCode) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+
+      const success = !error && exitCode === 0;
+      resolve({
+        event,
+        command: redactSecrets(hook.command),
+        success,
+        exitCode,
+        output: truncateOutput(output),
+        duration: Date.now() - startTime,
+        error: success ? null : error || `exited with code ${exitCode}`
+      });
+    };
+
+    for (const stream of [child.stdout, child.stderr]) {
+      stream.on('data', (chunk) => {
+        output += chunk;
+        // Only the end of the output is kept, don't let a chatty hook fill the memory
+        if (output.length > MAX_OUTPUT_LENGTH * 2) {
+          output = output.slice(-MAX_OUTPUT_LENGTH);
+        }
+      });
+    }
+
+    child.on('error', (spawnError) => {
+      error = error || spawnError.message;
+      finish(null);
+    });
+    child.on('close', (code) => finish(code));
+  });
+}
+
+/**
+ * Run the commands of a backup event one after the other
+ * `env` holds the LUNASDB_* variables describing the backup. The commands of `preBackup` stop at
+ * the first failure, the others all run. Failures are logged, never thrown.
+ * Resolves with the result of each command run (see runHookCommand)
+ */
+export async function runHooks(event, hooks, env, options = {}) {
+  const runs = [];
+
+  for (const hook of hooks[event] || []) {
+    const run = await runWithLogContext({ phase: 'hook', hook: event }, async () => {
+      console.log(`Running ${event} hook: ${hook.command}`);
+      const result = await runHookCommand(event, hook, { ...env, LUNASDB_HOOK: event }, options.signal);
+
+      for (const line of result.output ? result.output.split('\n') : []) {
+        console.log(`  | ${line}`);
+      }
+      if (result.success) {
+        console.log(`✓ ${event} hook completed in ${(result.duration / 1000).toFixed(2)}s`);
+      } else {
+        logger[event === 'preBackup' ? 'error' : 'warn'](`${event === 'preBackup' ? '✗' : '⚠'} ${event} hook failed: ${result.error}`);
+      }
+
+      return result;
+    });
+
+    runs.push(run);
+    if (!run.success && event === 'preBackup') {
+      break;
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Describe the hooks of a database, one line per event (for --list)
+ */
+export function describeHooks(hooks = {}) {
+  return HOOK_EVENTS
+    .filter(event => hooks[event] && hooks[event].length > 0)
+    .map(event => `${event}: ${hooks[event].map(hook => hook.command).join('; ')}`);
+}
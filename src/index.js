@@ -1,164 +1,368 @@
 #!/usr/bin/env node
 
-import { loadConfig } from './config.js';
-import { backupMySQL } from './backup/mysql.js';
-import { backupPostgres } from './backup/postgres.js';
-import { saveToLocal } from './storage/local.js';
-import { saveToS3 } from './storage/s3.js';
-import { sendWebhook } from './webhook.js';
+import { loadConfig, selectDatabases } from './config.js';
+import { describeDatabaseHost } from './drivers.js';
+import { describeDumpOptions } from './backup/filters.js';
+import { describeHooks } from './hooks.js';
+import { getCompression, describeCompression } from './backup/compress.js';
+import { describeStorage } from './storage/index.js';
+import { getNotifications, sendNotification, describeNotification } from './notifications/index.js';
 import { parseArguments } from './cli.js';
-import fs from 'fs';
-import path from 'path';
+import { verifyIntegrity } from './integrity.js';
+import { rotateBackups, getRetentionPolicy, describeRetention } from './retention.js';
+import { runDaemon } from './daemon.js';
+import { runWithPrefix, runWithLogContext, installConsole, configureLogging, redirectLogsToStderr, logger } from './output.js';
+import { checkDatabase } from './check.js';
+import { expandDatabases } from './discovery.js';
+import { loadMetricsState, startMetricsServer } from './metrics.js';
+import { backupDatabase, runBackups, restore, listBackups, notifyResults, formatBackupSummary } from './api.js';
 
 /**
- * Generate backup filename with timestamp
+ * Describe a storage destination of a database, with the profile it comes from
  */
-function generateBackupFilename(dbName, dbType, storageType) {
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').split('Z')[0];
-  const extension = dbType === 'postgres' || dbType === 'postgresql' ? 'dump' : 'sql.gz';
-  return `${dbName}_${timestamp}.${extension}`;
+function describeStorageEntry(storageConfig) {
+  const profile = storageConfig.profile ? ` [${storageConfig.profile}]` : '';
+  return `${storageConfig.type}${profile} (${describeStorage(storageConfig)})`;
 }
 
+
 /**
- * Perform backup for a single database
+ * Print the backup summary, record the metrics and send the notifications
+ * `skipped` lists the names of the disabled databases
+ * Returns { failed, undelivered }: the number of failed backups and of required notifications
+ * that could not be delivered
  */
-async function backupDatabase(name, config) {
-  const storageTypes = config.storage.map(s => s.type).join('+');
-  console.log(`\n${'='.repeat(60)}`);
-  console.log(`Starting backup: ${name}`);
-  console.log(`Database: ${config.database} (${config.type})`);
-  console.log(`Host: ${config.host}:${config.port}`);
-  console.log(`Storage: ${storageTypes} (${config.storage.length} destination${config.storage.length > 1 ? 's' : ''})`);
-  console.log(`${'='.repeat(60)}\n`);
+async function reportResults(config, results, skipped) {
+  console.log('\n' + formatBackupSummary(results, skipped));
 
-  const startTime = Date.now();
+  const undelivered = await notifyResults(config, results, skipped);
 
-  try {
-    // Create temp directory for backups
-    const tempDir = '/tmp/backups';
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
-    }
+  return { failed: results.filter(r => !r.success).length, undelivered };
+}
 
-    // Generate backup filename (use first storage type for extension)
-    const filename = generateBackupFilename(name, config.type, config.storage[0].type);
-    const backupPath = path.join(tempDir, filename);
+/**
+ * Restore a single database from the command line
+ */
+async function runRestore(config, options) {
+  const result = await restore(config, options.name, options);
 
-    // Perform database backup based on type
-    let result;
-    const dbType = config.type.toLowerCase();
+  console.log(`\n✓ Restore completed successfully for: ${result.name}`);
+  console.log(`  ← ${result.source}`);
+  console.log(`  → ${result.target}`);
+  console.log(`  Duration: ${(result.duration / 1000).toFixed(2)}s`);
+}
 
-    if (dbType === 'mysql' || dbType === 'mariadb') {
-      result = await backupMySQL(name, config, backupPath);
-    } else if (dbType === 'postgres' || dbType === 'postgresql') {
-      result = await backupPostgres(name, config, backupPath);
-    } else {
-      throw new Error(`Unsupported database type: ${config.type}`);
-    }
+/**
+ * Check the stored backups of the selected databases against their manifests
+ * Returns true when every backup matches its manifest
+ */
+async function runVerifyIntegrity(config, options) {
+  const { databases, errors } = await expandDatabases(selectDatabases(config, options.database));
 
-    // Save to each storage destination sequentially
-    const storages = [];
-    const storageErrors = [];
+  const counts = { ok: 0, mismatch: 0, 'missing-manifest': 0, error: errors.length };
 
-    for (const storageConfig of config.storage) {
-      try {
-        let storagePath;
-        // Create a temporary config with single storage for backward compatibility
-        const storageSpecificConfig = { ...config, storage: storageConfig };
-
-        if (storageConfig.type === 'local') {
-          storagePath = await saveToLocal(backupPath, storageSpecificConfig);
-        } else if (storageConfig.type === 's3') {
-          storagePath = await saveToS3(backupPath, storageSpecificConfig);
-        } else {
-          throw new Error(`Unsupported storage type: ${storageConfig.type}`);
-        }
+  for (const [name, dbConfig] of databases) {
+    console.log(`\n${name}`);
 
-        storages.push({
-          type: storageConfig.type,
-          path: storagePath,
-          success: true
-        });
-      } catch (error) {
-        console.error(`  [${storageConfig.type}] Storage failed: ${error.message}`);
-        storageErrors.push({
-          type: storageConfig.type,
-          error: error.message,
-          success: false
-        });
+    const results = await verifyIntegrity(name, dbConfig);
+    if (results.length === 0) {
+      console.log('  No backups found');
+    }
+
+    for (const result of results) {
+      counts[result.status]++;
+
+      if (result.status === 'ok') {
+        console.log(`  ✓ ${result.storage}: ${result.file}`);
+      } else if (result.status === 'mismatch') {
+        logger.error(`  ✗ ${result.storage}: ${result.file} - checksum mismatch (expected ${result.expected.sha256} / ${result.expected.size} bytes, got ${result.actual.sha256} / ${result.actual.size} bytes)`);
+      } else if (result.status === 'missing-manifest') {
+        logger.warn(`  ⚠ ${result.storage}: ${result.file} - missing manifest`);
+      } else {
+        logger.error(`  ✗ ${result.storage}: ${result.file || 'storage unreachable'} - ${result.error}`);
       }
     }
+  }
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  console.log(`\nTotal: ${total} | OK: ${counts.ok} | Mismatch: ${counts.mismatch} | Missing manifest: ${counts['missing-manifest']} | Errors: ${counts.error}`);
+
+  return total === counts.ok;
+}
+
+/**
+ * Format the age of a backup, e.g. "45m", "5h", "3d"
+ */
+function formatAge(date) {
+  const minutes = Math.max(0, Math.floor((Date.now() - new Date(date)) / 60000));
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  if (minutes < 48 * 60) {
+    return `${Math.floor(minutes / 60)}h`;
+  }
+  return `${Math.floor(minutes / (24 * 60))}d`;
+}
+
+/**
+ * Format a byte size for display, e.g. "512 B", "3.20 MB"
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value} B` : `${value.toFixed(2)} ${units[unit]}`;
+}
+
+/**
+ * List the stored backups of the selected databases in each storage destination
+ */
+async function runInventory(config, options) {
+  const inventories = await listBackups(config, { databases: options.database, storage: options.storage });
+
+  if (options.json) {
+    process.stdout.write(JSON.stringify(inventories, null, 2) + '\n');
+    return;
+  }
+
+  for (const inventory of inventories) {
+    console.log(`\n${inventory.database}`);
 
-    // Clean up temp file after all storage attempts
-    if (fs.existsSync(backupPath)) {
-      fs.unlinkSync(backupPath);
+    if (inventory.error) {
+      logger.error(`  ✗ ${inventory.error}`);
+      continue;
     }
 
-    const duration = Date.now() - startTime;
+    for (const storage of inventory.storages) {
+      const profile = storage.profile ? ` [${storage.profile}]` : '';
+      const header = `  #${storage.index} ${storage.type}${profile} (${storage.location})`;
 
-    // Determine overall success: at least one storage succeeded (lenient mode)
-    const success = storages.length > 0;
+      if (storage.error) {
+        console.log(`${header} ✗ ${storage.error}`);
+        continue;
+      }
 
-    if (success) {
-      const symbol = storageErrors.length > 0 ? '⚠' : '✓';
-      const status = storageErrors.length > 0
-        ? `completed with warnings (${storages.length}/${config.storage.length} storages succeeded)`
-        : 'completed successfully';
+      console.log(`${header} - ${storage.backups.length} backup(s), ${formatBytes(storage.totalBytes)}`);
+      if (storage.missingLatest) {
+        logger.warn(`    ⚠ Missing the latest backup: ${inventory.latest}`);
+      }
 
-      console.log(`\n${symbol} Backup ${status} for: ${name}`);
-      for (const storage of storages) {
-        console.log(`  → ${storage.type}: ${storage.path}`);
+      for (const backup of storage.backups) {
+        const checksum = backup.sha256 ? `sha256 ${backup.sha256.slice(0, 12)}` : 'no manifest';
+        console.log(`    ${backup.name}  ${formatBytes(backup.size)}  ${formatAge(backup.mtime)} ago  ${checksum}`);
       }
-      for (const error of storageErrors) {
-        console.log(`  ✗ ${error.type}: ${error.error}`);
+    }
+
+    console.log(`  Total: ${formatBytes(inventory.totalBytes)}`);
+  }
+}
+
+/**
+ * Apply retention policies to the stored backups of the selected databases
+ * Returns true when every storage was rotated successfully
+ */
+async function runRotate(config, options) {
+  const { databases, errors } = await expandDatabases(selectDatabases(config, options.database));
+
+  if (options.dryRun) {
+    console.log('Dry run: no backup will be deleted\n');
+  }
+
+  let success = errors.length === 0;
+
+  for (const [name, dbConfig] of databases) {
+    console.log(`\n${name}`);
+
+    for (const storageConfig of dbConfig.storage) {
+      try {
+        await rotateBackups(name, { ...dbConfig, storage: storageConfig }, { dryRun: options.dryRun });
+      } catch (error) {
+        success = false;
       }
-      console.log(`  Duration: ${(duration / 1000).toFixed(2)}s`);
-    } else {
-      throw new Error(`All storage destinations failed (${storageErrors.length} errors)`);
     }
+  }
 
-    return {
-      name,
-      success,
-      storages,
-      storageErrors,
-      size: result.size,
-      duration
-    };
+  return success;
+}
+
+/**
+ * Validate the configuration and test the dump tools, connections, storages and webhook
+ * of the selected databases, without taking backups
+ * Returns true when every check passed
+ */
+async function runCheck(configPath, options) {
+  let config;
+  try {
+    config = await loadConfig(configPath);
   } catch (error) {
-    const duration = Date.now() - startTime;
-
-    console.error(`\n✗ Backup failed for: ${name}`);
-    console.error(`  Error: ${error.message}`);
-    console.error(`  Duration: ${(duration / 1000).toFixed(2)}s`);
-
-    return {
-      name,
-      success: false,
-      storages: [],
-      storageErrors: [],
-      error: error.message,
-      duration
+    logger.error(`✗ config: ${error.message}`);
+    return false;
+  }
+  console.log('✓ config: valid');
+
+  const rows = [];
+
+  for (const [name, dbConfig] of selectDatabases(config, options.database)) {
+    console.log(`\n${name}`);
+
+    let checks;
+    try {
+      checks = await checkDatabase(name, dbConfig);
+    } catch (error) {
+      checks = [{ label: 'check', ok: false, detail: error.message }];
+    }
+
+    for (const check of checks) {
+      logger[check.ok ? 'info' : 'error'](`  ${check.ok ? '✓' : '✗'} ${check.label}: ${check.detail}`);
+    }
+    rows.push({ name, checks });
+  }
+
+  // Every notification receives a test message
+  for (const notification of getNotifications(config)) {
+    const payload = {
+      timestamp: new Date().toISOString(),
+      check: true,
+      status: 'success',
+      message: 'Test notification from the check command'
     };
+
+    let check;
+    try {
+      await sendNotification(notification, payload);
+      check = { label: 'send', ok: true, detail: 'test notification sent' };
+    } catch (error) {
+      check = { label: 'send', ok: false, detail: error.message };
+    }
+
+    const name = `notify:${describeNotification(notification)}`;
+    logger[check.ok ? 'info' : 'error'](`\n${name}\n  ${check.ok ? '✓' : '✗'} ${check.label}: ${check.detail}`);
+    rows.push({ name, checks: [check] });
   }
+
+  // Pass/fail matrix: one row per database, one column per check (storages are grouped)
+  const column = label => label.startsWith('storage[') ? 'storage' : label;
+  const columns = [...new Set(rows.flatMap(row => row.checks.map(check => column(check.label))))];
+  const nameWidth = Math.max(8, ...rows.map(row => row.name.length));
+
+  console.log('\n' + '='.repeat(60));
+  console.log('CHECK SUMMARY');
+  console.log('='.repeat(60));
+  console.log([''.padEnd(nameWidth), ...columns].join('  '));
+  for (const row of rows) {
+    const cells = columns.map(name => {
+      const checks = row.checks.filter(check => column(check.label) === name);
+      const mark = checks.length === 0 ? '-' : checks.every(check => check.ok) ? '✓' : '✗';
+      return mark.padEnd(name.length);
+    });
+    console.log([row.name.padEnd(nameWidth), ...cells].join('  ').trimEnd());
+  }
+
+  const failed = rows.flatMap(row => row.checks.filter(check => !check.ok)).length;
+  console.log(`\n${failed === 0 ? 'All checks passed!' : `${failed} check(s) failed`}`);
+
+  return failed === 0;
 }
 
 /**
  * Main function
  */
 async function main() {
+  // Credentials found in the config are redacted from all output, including errors
+  installConsole();
+
+  // Parse command-line arguments
+  const options = parseArguments();
+
+  // Log format and level: CLI option > environment variable > text/info
+  try {
+    configureLogging({
+      format: options.logFormat || process.env.LOG_FORMAT || undefined,
+      level: options.logLevel || process.env.LOG_LEVEL || undefined
+    });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  // With --json, stdout is reserved for the JSON document
+  if (options.json) {
+    redirectLogsToStderr();
+  }
+
   console.log('Database Backup Tool');
   console.log('===================\n');
 
   try {
-    // Parse command-line arguments
-    const options = parseArguments();
 
     // Determine config path: CLI argument > environment variable > default
     const configPath = options.config || process.env.CONFIG_PATH;
 
+    // Handle check command (it reports an invalid configuration as a failed check)
+    if (options.command === 'check') {
+      const passed = await runCheck(configPath, options);
+      process.exit(passed ? 0 : 1);
+    }
+
     // Load configuration
-    const config = loadConfig(configPath);
+    const config = await loadConfig(configPath);
+
+    // Metrics keep the last success of each database across runs
+    if (config.metrics) {
+      loadMetricsState(config.metrics);
+    }
+
+    // Handle restore command
+    if (options.command === 'restore') {
+      await runRestore(config, options);
+      process.exit(0);
+    }
+
+    // Handle rotate command
+    if (options.command === 'rotate') {
+      const rotated = await runRotate(config, options);
+      process.exit(rotated ? 0 : 1);
+    }
+
+    // Handle daemon command
+    if (options.command === 'daemon') {
+      const databases = selectDatabases(config, options.database).filter(([_, dbConfig]) => dbConfig.enabled !== false);
+      const metricsServer = config.metrics && config.metrics.port
+        ? await startMetricsServer(config.metrics.port, config.metrics.host)
+        : null;
+      await runDaemon(config, databases, {
+        // Scheduled runs may overlap, prefix their output with the database name
+        backup: async (name, dbConfig, backupOptions) => {
+          // A server-wide entry backs up every database of its server
+          if (dbConfig.discover) {
+            const { results } = await runWithPrefix(`[${name}]`, () => runBackups(config, { databases: [name], notify: false, signal: backupOptions.signal }));
+            return results;
+          }
+          return [await runWithPrefix(`[${name}]`, () => runWithLogContext({ database: name }, () => backupDatabase(name, dbConfig, backupOptions)))];
+        },
+        report: (results) => reportResults(config, results, [])
+      });
+      if (metricsServer) {
+        metricsServer.close();
+      }
+      process.exit(0);
+    }
+
+    // Handle backups command
+    if (options.command === 'backups') {
+      await runInventory(config, options);
+      process.exit(0);
+    }
+
+    // Handle verify-integrity command
+    if (options.command === 'verify-integrity') {
+      const intact = await runVerifyIntegrity(config, options);
+      process.exit(intact ? 0 : 1);
+    }
 
     // Handle --list option
     if (options.list) {
@@ -179,20 +383,57 @@ async function main() {
 
         console.log(`${status} ${name} (${statusText})`);
         console.log(`  Type: ${dbConfig.type}`);
-        console.log(`  Host: ${dbConfig.host}:${dbConfig.port || (dbConfig.type === 'postgres' || dbConfig.type === 'postgresql' ? 5432 : 3306)}`);
-        console.log(`  Database: ${dbConfig.database}`);
-        console.log(`  Username: ${dbConfig.username}`);
+        console.log(`  Host: ${describeDatabaseHost(dbConfig)}`);
+        console.log(`  Database: ${dbConfig.discover ? 'all databases of the server (discover)' : dbConfig.database}`);
+        if (dbConfig.includeDatabases) {
+          console.log(`  Databases: ${dbConfig.includeDatabases.join(', ')}`);
+        }
+        if (dbConfig.excludeDatabases) {
+          console.log(`  Excluded databases: ${dbConfig.excludeDatabases.join(', ')}`);
+        }
+        if (dbConfig.globals) {
+          console.log('  Globals: roles and tablespaces');
+        }
+        if (dbConfig.username) {
+          console.log(`  Username: ${dbConfig.username}`);
+        }
+
+        // Effective settings, whether set on the database or inherited from defaults
+        if (dbConfig.schedule || config.schedule) {
+          console.log(`  Schedule: ${dbConfig.schedule || `${config.schedule} (global)`}`);
+        }
+        if (dbConfig.encryption) {
+          console.log('  Encryption: enabled');
+        }
+        if (dbConfig.streaming) {
+          console.log('  Streaming: enabled');
+        }
+        if (dbConfig.compression) {
+          console.log(`  Compression: ${describeCompression(getCompression(dbConfig))}`);
+        }
+        if (dbConfig.format === 'directory') {
+          console.log(`  Format: directory, ${dbConfig.jobs || 1} job(s)`);
+        }
+        if (dbConfig.verify) {
+          console.log(`  Verify: restore into ${dbConfig.verify.database || 'a scratch database'}`);
+        }
+        for (const line of describeDumpOptions(dbConfig)) {
+          console.log(`  ${line}`);
+        }
+        for (const line of describeHooks(dbConfig.hooks)) {
+          console.log(`  Hook ${line}`);
+        }
 
         // Display storage configuration
         const storages = Array.isArray(dbConfig.storage) ? dbConfig.storage : [dbConfig.storage];
         if (storages.length === 1) {
           const storage = storages[0];
-          console.log(`  Storage: ${storage.type}${storage.type === 's3' ? ` (${storage.bucket})` : ` (${storage.path})`}`);
-          console.log(`  Keep: ${storage.keep || 10} backups`);
+          console.log(`  Storage: ${describeStorageEntry(storage)}`);
+          console.log(`  Retention: ${describeRetention(getRetentionPolicy(storage))}`);
         } else {
           console.log(`  Storage: ${storages.length} destinations`);
           storages.forEach((storage, index) => {
-            console.log(`    ${index + 1}. ${storage.type}${storage.type === 's3' ? ` (${storage.bucket})` : ` (${storage.path})`} - keep ${storage.keep || 10}`);
+            console.log(`    ${index + 1}. ${describeStorageEntry(storage)} - ${describeRetention(getRetentionPolicy(storage))}`);
           });
         }
 
@@ -214,7 +455,7 @@ async function main() {
       const missingDatabases = options.database.filter(name => !config.databases[name]);
 
       if (missingDatabases.length > 0) {
-        console.log(`⚠️  Warning: The following databases are not defined in config: ${missingDatabases.join(', ')}\n`);
+        logger.warn(`⚠️  Warning: The following databases are not defined in config: ${missingDatabases.join(', ')}\n`);
       }
 
       allDatabases = allDatabases.filter(([name]) => requestedDatabases.has(name));
@@ -235,136 +476,28 @@ async function main() {
     console.log(`  - ${enabledDatabases.length} enabled`);
     if (disabledDatabases.length > 0) {
       console.log(`  - ${disabledDatabases.length} disabled\n`);
-      console.log('⚠️  Skipping disabled databases:');
+      logger.warn('⚠️  Skipping disabled databases:');
       for (const [name] of disabledDatabases) {
         console.log(`  - ${name}`);
       }
     }
     console.log('');
 
-    // Backup all enabled databases
-    const results = [];
-    for (const [name, dbConfig] of enabledDatabases) {
-      const result = await backupDatabase(name, dbConfig);
-      results.push(result);
-    }
-
-    // Print summary
-    console.log('\n' + '='.repeat(60));
-    console.log('BACKUP SUMMARY');
-    console.log('='.repeat(60));
-
-    const successful = results.filter(r => r.success).length;
-    const failed = results.filter(r => !r.success).length;
-    const skipped = disabledDatabases.length;
-    const totalDuration = results.reduce((sum, r) => sum + (r.duration || 0), 0);
-
-    console.log(`Total: ${results.length} | Success: ${successful} | Failed: ${failed} | Skipped: ${skipped}`);
-    console.log(`Total duration: ${(totalDuration / 1000).toFixed(2)}s\n`);
-
-    for (const result of results) {
-      if (result.success) {
-        const sizeMB = (result.size / (1024 * 1024)).toFixed(2);
-        const durationSec = (result.duration / 1000).toFixed(2);
-        const symbol = result.storageErrors && result.storageErrors.length > 0 ? '⚠' : '✓';
-        console.log(`${symbol} ${result.name} - ${sizeMB} MB - ${durationSec}s`);
-
-        // Show detailed storage info
-        if (result.storages && result.storages.length > 0) {
-          for (const storage of result.storages) {
-            console.log(`  → ${storage.type}: ${storage.path}`);
-          }
-        }
-        if (result.storageErrors && result.storageErrors.length > 0) {
-          for (const error of result.storageErrors) {
-            console.log(`  ✗ ${error.type}: ${error.error}`);
-          }
-        }
-      } else {
-        const durationSec = (result.duration / 1000).toFixed(2);
-        console.log(`✗ ${result.name} - ${result.error} - ${durationSec}s`);
-      }
-    }
-
-    // Show skipped databases
-    for (const [name] of disabledDatabases) {
-      console.log(`⊗ ${name} - SKIPPED`);
-    }
-
-    console.log('\n' + '='.repeat(60));
-
-    // Send webhook notification if configured
-    if (config.webhook) {
-      // Build summary text
-      let summaryText = '='.repeat(60) + '\n';
-      summaryText += 'BACKUP SUMMARY\n';
-      summaryText += '='.repeat(60) + '\n';
-      summaryText += `Total: ${results.length} | Success: ${successful} | Failed: ${failed} | Skipped: ${skipped}\n`;
-      summaryText += `Total duration: ${(totalDuration / 1000).toFixed(2)}s\n\n`;
-
-      for (const result of results) {
-        if (result.success) {
-          const sizeMB = (result.size / (1024 * 1024)).toFixed(2);
-          const durationSec = (result.duration / 1000).toFixed(2);
-          const symbol = result.storageErrors && result.storageErrors.length > 0 ? '⚠' : '✓';
-          summaryText += `${symbol} ${result.name} - ${sizeMB} MB - ${durationSec}s\n`;
-
-          // Add detailed storage info to summary text
-          if (result.storages && result.storages.length > 0) {
-            for (const storage of result.storages) {
-              summaryText += `  → ${storage.type}: ${storage.path}\n`;
-            }
-          }
-          if (result.storageErrors && result.storageErrors.length > 0) {
-            for (const error of result.storageErrors) {
-              summaryText += `  ✗ ${error.type}: ${error.error}\n`;
-            }
-          }
-        } else {
-          const durationSec = (result.duration / 1000).toFixed(2);
-          summaryText += `✗ ${result.name} - ${result.error} - ${durationSec}s\n`;
-        }
-      }
-
-      for (const [name] of disabledDatabases) {
-        summaryText += `⊗ ${name} - SKIPPED\n`;
-      }
-
-      summaryText += '='.repeat(60);
-
-      const webhookPayload = {
-        timestamp: new Date().toISOString(),
-        summary: {
-          total: results.length,
-          successful,
-          failed,
-          skipped,
-          totalDurationMs: totalDuration,
-          totalDurationSec: (totalDuration / 1000).toFixed(2)
-        },
-        summaryText,
-        results: results.map(r => ({
-          name: r.name,
-          success: r.success,
-          sizeMB: r.size ? (r.size / (1024 * 1024)).toFixed(2) : null,
-          durationMs: r.duration,
-          durationSec: (r.duration / 1000).toFixed(2),
-          storages: r.storages || [],
-          storageErrors: r.storageErrors || [],
-          // Keep legacy 'path' field for backward compatibility (first storage path or null)
-          path: r.storages && r.storages.length > 0 ? r.storages[0].path : null,
-          error: r.error || null
-        })),
-        skippedDatabases: disabledDatabases.map(([name]) => name)
-      };
-
-      await sendWebhook(config.webhook, webhookPayload);
-    }
+    // Back up the enabled databases, then print the summary and notify
+    const { results, skipped } = await runBackups(config, {
+      databases: allDatabases.map(([name]) => name),
+      concurrency: options.concurrency,
+      notify: false
+    });
+    const { failed, undelivered } = await reportResults(config, results, skipped);
 
     // Exit with appropriate code
     if (failed > 0) {
       console.error(`\n${failed} backup(s) failed!`);
       process.exit(1);
+    } else if (undelivered > 0) {
+      console.error(`\n${undelivered} required notification(s) could not be delivered!`);
+      process.exit(1);
     } else {
       console.log('\nAll backups completed successfully!');
       process.exit(0);
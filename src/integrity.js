@@ -0,0 +1,70 @@
+import { listStorageBackups, readStorageFile } from './storage/index.js';
+import { hashStream, getManifestName } from './manifest.js';
+
+/**
+ * Read a whole stream as a UTF-8 string
+ */
+async function readStreamText(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Read the manifest stored next to a backup file
+ */
+export async function readStoredManifest(fileName, config) {
+  return JSON.parse(await readStreamText(await readStorageFile(getManifestName(fileName), config)));
+}
+
+/**
+ * Re-hash every stored backup of a database and compare it with its manifest
+ *
+ * Returns one entry per backup (or per unreachable storage) with a status of
+ * 'ok', 'mismatch', 'missing-manifest' or 'error'
+ */
+export async function verifyIntegrity(name, config) {
+  const results = [];
+
+  for (const storageConfig of config.storage) {
+    const storageSpecificConfig = { ...config, storage: storageConfig };
+
+    let backups;
+    try {
+      backups = await listStorageBackups(name, storageConfig);
+    } catch (error) {
+      results.push({ storage: storageConfig.type, file: null, status: 'error', error: error.message });
+      continue;
+    }
+
+    for (const backup of backups) {
+      const entry = { storage: storageConfig.type, file: backup.name, path: backup.path };
+
+      try {
+        let manifest;
+        try {
+          manifest = await readStoredManifest(backup.name, storageSpecificConfig);
+        } catch (error) {
+          results.push({ ...entry, status: 'missing-manifest', error: error.message });
+          continue;
+        }
+
+        const { sha256, size } = await hashStream(await readStorageFile(backup.name, storageSpecificConfig));
+        const matches = sha256 === manifest.sha256 && size === manifest.size;
+
+        results.push({
+          ...entry,
+          status: matches ? 'ok' : 'mismatch',
+          expected: { sha256: manifest.sha256, size: manifest.size },
+          actual: { sha256, size }
+        });
+      } catch (error) {
+        results.push({ ...entry, status: 'error', error: error.message });
+      }
+    }
+  }
+
+  return results;
+}
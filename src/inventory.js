@@ -0,0 +1,86 @@
+import { listStorageBackups, describeStorage } from './storage/index.js';
+import { readStoredManifest } from './integrity.js';
+import { parseBackupDate } from './backup-files.js';
+import { ENCRYPTED_EXTENSION } from './encryption.js';
+
+/**
+ * Name of a backup without its encryption suffix, the same dump may be encrypted for
+ * some destinations only
+ */
+function getBackupStem(fileName) {
+  return fileName.endsWith(ENCRYPTED_EXTENSION) ? fileName.slice(0, -ENCRYPTED_EXTENSION.length) : fileName;
+}
+
+/**
+ * Check whether a storage destination matches a --storage filter (type or profile name)
+ */
+export function matchesStorageFilter(storageConfig, filter) {
+  return !filter || storageConfig.type === filter || storageConfig.profile === filter;
+}
+
+/**
+ * List the stored backups of a database in each of its storage destinations
+ *
+ * Backups are listed like rotation lists them, with the checksum of their manifest when
+ * there is one. Destinations missing the latest backup of the database are flagged.
+ * Returns { database, totalBytes, latest, storages: [{ index, type, profile, location, totalBytes,
+ * missingLatest, error, backups: [{ name, path, size, mtime, sha256 }] }] }
+ */
+export async function getInventory(name, config, options = {}) {
+  const storages = [];
+
+  for (const [index, storageConfig] of config.storage.entries()) {
+    if (!matchesStorageFilter(storageConfig, options.storage)) {
+      continue;
+    }
+
+    const entry = {
+      index,
+      type: storageConfig.type,
+      profile: storageConfig.profile || null,
+      location: describeStorage(storageConfig),
+      totalBytes: 0,
+      missingLatest: false,
+      error: null,
+      backups: []
+    };
+
+    try {
+      const backups = await listStorageBackups(name, storageConfig);
+
+      for (const backup of backups) {
+        let sha256 = null;
+        try {
+          sha256 = (await readStoredManifest(backup.name, { ...config, storage: storageConfig })).sha256 || null;
+        } catch {
+          // Backups taken before manifests existed have no checksum
+        }
+
+        entry.backups.push({ ...backup, sha256 });
+        entry.totalBytes += backup.size;
+      }
+    } catch (error) {
+      entry.error = error.message;
+    }
+
+    storages.push(entry);
+  }
+
+  // The latest backup is the most recent one in any destination
+  const backupDate = backup => parseBackupDate(backup.name) || backup.mtime;
+  const latest = storages
+    .flatMap(storage => storage.backups)
+    .reduce((newest, backup) => !newest || backupDate(backup) > backupDate(newest) ? backup : newest, null);
+
+  for (const storage of storages) {
+    storage.missingLatest = Boolean(latest) && !storage.error &&
+      !storage.backups.some(backup => getBackupStem(backup.name) === getBackupStem(latest.name));
+  }
+
+  return {
+    database: name,
+    totalBytes: storages.reduce((total, storage) => total + storage.totalBytes, 0),
+    latest: latest ? getBackupStem(latest.name) : null,
+    storages
+  };
+}
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const packageJson = JSON.parse(fs.readFileSync(path.join(__dirname, '../package.json'), 'utf8'));
+
+/**
+ * Suffix of the manifest stored next to each backup file
+ */
+export const MANIFEST_EXTENSION = '.manifest.json';
+
+/**
+ * Get the manifest file name of a backup file
+ */
+export function getManifestName(fileName) {
+  return `${fileName}${MANIFEST_EXTENSION}`;
+}
+
+/**
+ * Compute the SHA-256 and byte size of a readable stream
+ */
+export async function hashStream(stream) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+
+  await pipeline(stream, async function* (source) {
+    for await (const chunk of source) {
+      hash.update(chunk);
+      size += chunk.length;
+    }
+  });
+
+  return { sha256: hash.digest('hex'), size };
+}
+
+/**
+ * Create a pass-through stream computing the SHA-256 and byte size of the data going through it
+ * `digest()` returns { sha256, size } once the stream has ended
+ */
+export function createHashStream() {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      size += chunk.length;
+      callback(null, chunk);
+    }
+  });
+
+  stream.digest = () => ({ sha256: hash.digest('hex'), size });
+
+  return stream;
+}
+
+/**
+ * Build the manifest of a backup file from its checksum
+ *
+ * `details` holds what only the backup run knows: database config, dump result and timestamps
+ */
+export function createManifest(fileName, { sha256, size }, details) {
+  const { name, config, dump, encrypted, startedAt, completedAt } = details;
+
+  return {
+    manifestVersion: 1,
+    file: fileName,
+    sha256,
+    size,
+    encrypted,
+    database: {
+      name,
+      database: config.database,
+      type: config.type,
+      host: config.host,
+      port: config.port
+    },
+    dump: {
+      tool: dump.tool || null,
+      version: dump.toolVersion || null,
+      size: dump.size
+    },
+    compression: dump.compression || null,
+    lunasdb: {
+      version: packageJson.version
+    },
+    startedAt,
+    completedAt
+  };
+}
+
+/**
+ * Write the manifest of a backup file next to it and return the manifest path
+ */
+export async function writeManifest(backupFilePath, details) {
+  const checksum = await hashStream(fs.createReadStream(backupFilePath));
+  const manifest = createManifest(path.basename(backupFilePath), checksum, details);
+
+  const manifestPath = getManifestName(backupFilePath);
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+
+  return manifestPath;
+}
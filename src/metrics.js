@@ -0,0 +1,180 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+
+/**
+ * Last known state of every database, keyed by database name:
+ * { type, lastRun, lastSuccess, lastStatus, lastDuration, lastSize, failures, storages: { <index>: { type, lastStatus, lastSuccess } } }
+ * Timestamps are in seconds, like Prometheus expects them
+ */
+let state = {};
+
+/**
+ * Get the file keeping the last-success state between runs (the textfile is rewritten after
+ * each run, so a failed run must not lose the time of the last success)
+ */
+function getStateFile(metricsConfig) {
+  if (metricsConfig.stateFile) {
+    return metricsConfig.stateFile;
+  }
+
+  return metricsConfig.textfile ? path.join(path.dirname(metricsConfig.textfile), 'lunasdb-state.json') : null;
+}
+
+/**
+ * Write a file atomically, so readers (node_exporter) never see a partial file
+ */
+function writeFileAtomic(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Load the last-success state saved by previous runs
+ */
+export function loadMetricsState(metricsConfig) {
+  const stateFile = getStateFile(metricsConfig);
+  if (!stateFile || !fs.existsSync(stateFile)) {
+    return;
+  }
+
+  try {
+    state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  } catch (error) {
+    console.error(`⚠️  Could not read metrics state ${stateFile}: ${error.message}`);
+  }
+}
+
+/**
+ * Escape a Prometheus label value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render the metrics in the Prometheus text exposition format
+ */
+export function renderMetrics() {
+  const families = [
+    ['lunasdb_backup_last_success_timestamp_seconds', 'gauge', 'Time of the last successful backup', entry => entry.lastSuccess],
+    ['lunasdb_backup_last_run_timestamp_seconds', 'gauge', 'Time of the last backup attempt', entry => entry.lastRun],
+    ['lunasdb_backup_last_status', 'gauge', 'Whether the last backup attempt succeeded (1) or failed (0)', entry => entry.lastStatus],
+    ['lunasdb_backup_last_duration_seconds', 'gauge', 'Duration of the last backup attempt', entry => entry.lastDuration],
+    ['lunasdb_backup_last_size_bytes', 'gauge', 'Size of the last successful backup', entry => entry.lastSize],
+    ['lunasdb_backup_failures_total', 'counter', 'Number of failed backup attempts', entry => entry.failures]
+  ];
+  const storageFamilies = [
+    ['lunasdb_backup_storage_last_status', 'gauge', 'Whether the last upload to a storage destination succeeded (1) or failed (0)', entry => entry.lastStatus],
+    ['lunasdb_backup_storage_last_success_timestamp_seconds', 'gauge', 'Time of the last successful upload to a storage destination', entry => entry.lastSuccess]
+  ];
+
+  const lines = [];
+
+  for (const [metric, kind, help, getValue] of families) {
+    lines.push(`# HELP ${metric} ${help}`, `# TYPE ${metric} ${kind}`);
+    for (const [database, entry] of Object.entries(state)) {
+      const value = getValue(entry);
+      if (value !== null && value !== undefined) {
+        lines.push(`${metric}{database="${escapeLabel(database)}",type="${escapeLabel(entry.type)}"} ${value}`);
+      }
+    }
+  }
+
+  for (const [metric, kind, help, getValue] of storageFamilies) {
+    lines.push(`# HELP ${metric} ${help}`, `# TYPE ${metric} ${kind}`);
+    for (const [database, entry] of Object.entries(state)) {
+      for (const [destination, storageEntry] of Object.entries(entry.storages || {})) {
+        const value = getValue(storageEntry);
+        if (value !== null && value !== undefined) {
+          lines.push(`${metric}{database="${escapeLabel(database)}",type="${escapeLabel(entry.type)}",storage="${escapeLabel(storageEntry.type)}",destination="${destination}"} ${value}`);
+        }
+      }
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Update the metrics from backup results (as returned by backupDatabase), then save the
+ * state and write the node_exporter textfile when configured
+ */
+export function recordBackupResults(config, results) {
+  const metricsConfig = config.metrics;
+  if (!metricsConfig) {
+    return;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+
+  for (const result of results) {
+    const entry = state[result.name] || { failures: 0, storages: {} };
+
+    // Discovered databases (e.g. "shared.billing") are not keys of config.databases, results carry their type
+    entry.type = result.type || (config.databases[result.name] || {}).type;
+    entry.lastRun = now;
+    entry.lastStatus = result.success ? 1 : 0;
+    entry.lastDuration = result.duration / 1000;
+    if (result.success) {
+      entry.lastSuccess = now;
+      entry.lastSize = result.size;
+    } else {
+      entry.failures = (entry.failures || 0) + 1;
+    }
+
+    // Destinations are keyed by their position in the storage list, two may share a type
+    entry.storages = entry.storages || {};
+    for (const storage of [...(result.storages || []), ...(result.storageErrors || [])]) {
+      const storageEntry = entry.storages[storage.index] || {};
+      storageEntry.type = storage.type;
+      storageEntry.lastStatus = storage.success ? 1 : 0;
+      if (storage.success) {
+        storageEntry.lastSuccess = now;
+      }
+      entry.storages[storage.index] = storageEntry;
+    }
+
+    state[result.name] = entry;
+  }
+
+  try {
+    const stateFile = getStateFile(metricsConfig);
+    if (stateFile) {
+      writeFileAtomic(stateFile, JSON.stringify(state, null, 2));
+    }
+    if (metricsConfig.textfile) {
+      writeFileAtomic(metricsConfig.textfile, renderMetrics());
+      console.log(`✓ Metrics written to: ${metricsConfig.textfile}`);
+    }
+  } catch (error) {
+    // Metrics failure shouldn't fail the backup run
+    console.error('✗ Failed to write metrics:', error.message);
+  }
+}
+
+/**
+ * Serve the metrics on /metrics (daemon mode)
+ * Resolves with the HTTP server once it listens
+ */
+export function startMetricsServer(port, host = '0.0.0.0') {
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(renderMetrics());
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      console.log(`Serving metrics on http://${host}:${port}/metrics`);
+      resolve(server);
+    });
+  });
+}
@@ -0,0 +1,17 @@
+import { postJson } from './webhook.js';
+import { getHeadline, getResultLines, getStatusColor, truncate } from './format.js';
+
+/**
+ * Send the backup summary to a Discord webhook, as an embed
+ */
+export async function sendDiscord(notification, payload) {
+  await postJson(notification, {
+    username: notification.username || 'lunasdb',
+    embeds: [{
+      title: truncate(getHeadline(payload), 256),
+      description: truncate(getResultLines(payload).join('\n'), 4096),
+      color: getStatusColor(payload),
+      timestamp: payload.timestamp
+    }]
+  });
+}
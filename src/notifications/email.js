@@ -0,0 +1,34 @@
+import nodemailer from 'nodemailer';
+import { getHeadline, getResultLines } from './format.js';
+import { redactSecrets } from '../secrets.js';
+
+/**
+ * Send the backup summary by email through an SMTP server
+ */
+export async function sendEmail(notification, payload) {
+  const smtp = notification.smtp;
+
+  const transport = nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port || (smtp.secure ? 465 : 587),
+    // `secure` is implicit TLS (port 465), STARTTLS is used when the server offers it
+    secure: Boolean(smtp.secure),
+    auth: smtp.username ? { user: smtp.username, pass: smtp.password } : undefined,
+    tls: smtp.skipSslVerification ? { rejectUnauthorized: false } : undefined,
+    connectionTimeout: 30000
+  });
+
+  const headline = getHeadline(payload);
+  const text = payload.check ? payload.message : payload.summaryText;
+
+  try {
+    await transport.sendMail({
+      from: notification.from,
+      to: notification.to,
+      subject: redactSecrets(notification.subject ? `${notification.subject}: ${headline}` : `[lunasdb] ${headline}`),
+      text: redactSecrets(`${headline}\n\n${text || getResultLines(payload).join('\n')}\n`)
+    });
+  } finally {
+    transport.close();
+  }
+}
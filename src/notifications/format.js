@@ -0,0 +1,62 @@
+/**
+ * One-line headline of a backup summary payload
+ */
+export function getHeadline(payload) {
+  if (payload.check) {
+    return 'lunasdb test notification';
+  }
+
+  const { total, successful, failed } = payload.summary;
+  if (payload.status === 'failure') {
+    return `✗ Backup failed: ${failed}/${total} database(s) failed`;
+  }
+  if (payload.status === 'warning') {
+    return `⚠ Backup completed with warnings: ${successful}/${total} database(s) backed up`;
+  }
+  return `✓ Backup completed: ${successful}/${total} database(s) backed up`;
+}
+
+/**
+ * One line per database of a backup summary payload (plus one per storage error)
+ */
+export function getResultLines(payload) {
+  if (payload.check) {
+    return [payload.message];
+  }
+
+  const lines = [];
+
+  for (const result of payload.results) {
+    if (result.success) {
+      const symbol = result.storageErrors.length > 0 ? '⚠' : '✓';
+      lines.push(`${symbol} ${result.name} - ${result.sizeMB} MB - ${result.durationSec}s`);
+      for (const error of result.storageErrors) {
+        lines.push(`    ✗ ${error.type}: ${error.error}`);
+      }
+    } else {
+      lines.push(`✗ ${result.name} - ${result.error} - ${result.durationSec}s`);
+    }
+  }
+
+  for (const name of payload.skippedDatabases) {
+    lines.push(`⊗ ${name} - skipped`);
+  }
+
+  lines.push(`Total duration: ${payload.summary.totalDurationSec}s`);
+
+  return lines;
+}
+
+/**
+ * Color of a payload status, as an RGB number
+ */
+export function getStatusColor(payload) {
+  return { failure: 0xd32f2f, warning: 0xf9a825 }[payload.status] || 0x2e7d32;
+}
+
+/**
+ * Shorten a text to a maximum length, chat services reject longer messages
+ */
+export function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
@@ -0,0 +1,151 @@
+import { sendWebhook } from './webhook.js';
+import { sendSlack } from './slack.js';
+import { sendDiscord } from './discord.js';
+import { sendTeams } from './teams.js';
+import { sendEmail } from './email.js';
+
+/**
+ * Notification senders, keyed by notification type
+ */
+const senders = {
+  webhook: sendWebhook,
+  slack: sendSlack,
+  discord: sendDiscord,
+  teams: sendTeams,
+  email: sendEmail
+};
+
+/**
+ * Values of the `on` filter: the summary statuses each one is sent for
+ */
+const FILTERS = {
+  always: ['success', 'warning', 'failure'],
+  warning: ['warning', 'failure'],
+  failure: ['failure']
+};
+
+/**
+ * Get the configured notifications, including the legacy top-level `webhook` URL
+ */
+export function getNotifications(config) {
+  const notifications = [...(config.notifications || [])];
+  if (config.webhook) {
+    // A URL, or an object with the options of a webhook notification
+    notifications.unshift(typeof config.webhook === 'string'
+      ? { type: 'webhook', url: config.webhook }
+      : { ...config.webhook, type: 'webhook' });
+  }
+  return notifications;
+}
+
+/**
+ * Validate a notification entry
+ */
+export function validateNotification(notification, label) {
+  if (typeof notification !== 'object' || notification === null || Array.isArray(notification)) {
+    throw new Error(`${label} must be an object`);
+  }
+
+  if (!senders[notification.type]) {
+    throw new Error(`${label} has invalid type "${notification.type}". Must be one of: ${Object.keys(senders).join(', ')}`);
+  }
+
+  if (notification.on !== undefined && !FILTERS[notification.on]) {
+    throw new Error(`${label} has invalid on "${notification.on}". Must be one of: ${Object.keys(FILTERS).join(', ')}`);
+  }
+
+  if (notification.required !== undefined && typeof notification.required !== 'boolean') {
+    throw new Error(`${label} has invalid required setting. Must be true or false`);
+  }
+
+  if (notification.type === 'email') {
+    const smtp = notification.smtp;
+    if (!smtp || typeof smtp !== 'object' || !smtp.host) {
+      throw new Error(`${label} must specify smtp.host`);
+    }
+    if (smtp.port !== undefined && !Number.isInteger(smtp.port)) {
+      throw new Error(`${label} has invalid smtp.port. Must be a port number`);
+    }
+    const missing = ['from', 'to'].filter(field => !notification[field]);
+    if (missing.length > 0) {
+      throw new Error(`${label} is missing required fields: ${missing.join(', ')}`);
+    }
+    return;
+  }
+
+  try {
+    new URL(notification.url);
+  } catch (error) {
+    throw new Error(`${label} must specify a valid url`);
+  }
+
+  for (const field of ['timeout', 'retryDelay']) {
+    if (notification[field] !== undefined && !(typeof notification[field] === 'number' && notification[field] > 0)) {
+      throw new Error(`${label} has invalid ${field}. Must be a positive number of seconds`);
+    }
+  }
+
+  if (notification.retries !== undefined && !(Number.isInteger(notification.retries) && notification.retries >= 0)) {
+    throw new Error(`${label} has invalid retries. Must be a positive integer or 0`);
+  }
+
+  if (notification.headers !== undefined && (typeof notification.headers !== 'object' || notification.headers === null || Array.isArray(notification.headers) ||
+      Object.values(notification.headers).some(value => typeof value !== 'string'))) {
+    throw new Error(`${label} has invalid headers. Must map header names to strings`);
+  }
+
+  if (notification.secret !== undefined && typeof notification.secret !== 'string') {
+    throw new Error(`${label} has invalid secret. Must be a string`);
+  }
+
+  if (notification.template !== undefined && notification.type !== 'webhook') {
+    throw new Error(`${label} cannot use template, only webhook notifications accept one`);
+  }
+}
+
+/**
+ * Describe a notification for logs, without its full URL (webhook URLs often embed tokens)
+ */
+export function describeNotification(notification) {
+  if (notification.type === 'email') {
+    return `email to ${[].concat(notification.to).join(', ')}`;
+  }
+  // Generic webhooks are told apart by their host
+  return notification.type === 'webhook' ? `webhook (${new URL(notification.url).host})` : notification.type;
+}
+
+/**
+ * Send a summary payload to a single notification, throws on failure
+ */
+export async function sendNotification(notification, payload) {
+  await senders[notification.type](notification, payload);
+}
+
+/**
+ * Send a backup summary payload to every notification whose `on` filter matches its status
+ * Failures are logged, a notification failure shouldn't stop the backup process
+ * Returns the number of `required` notifications that could not be delivered
+ */
+export async function sendNotifications(notifications, payload) {
+  const matching = notifications.filter(notification => FILTERS[notification.on || 'always'].includes(payload.status));
+  if (matching.length === 0) {
+    return 0;
+  }
+
+  console.log('\nSending notifications...');
+
+  let undelivered = 0;
+  for (const notification of matching) {
+    try {
+      await sendNotification(notification, payload);
+      console.log(`✓ Notification sent: ${describeNotification(notification)}`);
+    } catch (error) {
+      console.error(`✗ Failed to send ${describeNotification(notification)} notification:`, error.message);
+      if (notification.required) {
+        undelivered++;
+      }
+    }
+  }
+
+  return undelivered;
+}
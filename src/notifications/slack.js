@@ -0,0 +1,18 @@
+import { postJson } from './webhook.js';
+import { getHeadline, getResultLines, truncate } from './format.js';
+
+/**
+ * Send the backup summary to a Slack incoming webhook
+ */
+export async function sendSlack(notification, payload) {
+  const headline = getHeadline(payload);
+
+  await postJson(notification, {
+    // Fallback text for notifications and clients without blocks
+    text: headline,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: truncate(headline, 150) } },
+      { type: 'section', text: { type: 'mrkdwn', text: truncate('```' + getResultLines(payload).join('\n') + '```', 3000) } }
+    ]
+  });
+}
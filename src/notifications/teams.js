@@ -0,0 +1,27 @@
+import { postJson } from './webhook.js';
+import { getHeadline, getResultLines } from './format.js';
+
+/**
+ * Send the backup summary to a Microsoft Teams incoming webhook (or Workflows webhook),
+ * as an Adaptive Card
+ */
+export async function sendTeams(notification, payload) {
+  const color = { failure: 'Attention', warning: 'Warning' }[payload.status] || 'Good';
+
+  await postJson(notification, {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      contentUrl: null,
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: [
+          { type: 'TextBlock', text: getHeadline(payload), weight: 'Bolder', size: 'Medium', color, wrap: true },
+          ...getResultLines(payload).map(line => ({ type: 'TextBlock', text: line, wrap: true, spacing: 'None', fontType: 'Monospace' }))
+        ]
+      }
+    }]
+  });
+}
@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import { setTimeout as sleep } from 'timers/promises';
+import { redactValue } from '../secrets.js';
+import { logger } from '../output.js';
+
+/**
+ * Header carrying the HMAC-SHA256 signature of the request body
+ */
+export const SIGNATURE_HEADER = 'X-Lunasdb-Signature';
+
+/**
+ * Check whether a failed request is worth retrying: network errors, timeouts, 429 and 5xx
+ */
+function isRetryable(error) {
+  return !error.status || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * POST a JSON body to a webhook URL, throws when the request fails
+ *
+ * The notification sets the delivery options: `timeout` (seconds, default 30), `retries`
+ * (default 3, with exponential backoff from `retryDelay` seconds, default 1), extra `headers`,
+ * and a shared `secret` to sign the body with HMAC-SHA256 in the X-Lunasdb-Signature header
+ */
+export async function postJson(notification, body) {
+  // Never send credentials, even when they appear in error messages
+  const content = JSON.stringify(redactValue(body));
+
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(notification.headers || {})
+  };
+  if (notification.secret) {
+    headers[SIGNATURE_HEADER] = `sha256=${crypto.createHmac('sha256', String(notification.secret)).update(content).digest('hex')}`;
+  }
+
+  const timeout = (notification.timeout !== undefined ? notification.timeout : 30) * 1000;
+  const retries = notification.retries !== undefined ? notification.retries : 3;
+  const retryDelay = (notification.retryDelay !== undefined ? notification.retryDelay : 1) * 1000;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await fetch(notification.url, {
+        method: 'POST',
+        headers,
+        body: content,
+        signal: AbortSignal.timeout(timeout)
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`Webhook request failed with status ${response.status}: ${errorText}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return;
+    } catch (error) {
+      // fetch reports network errors as "fetch failed", the reason is in the cause
+      if (error.cause && error.cause.message) {
+        error.message = `${error.message}: ${error.cause.message}`;
+      }
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+
+      const delay = retryDelay * 2 ** attempt;
+      logger.warn(`⚠ ${error.name === 'TimeoutError' ? `Webhook request timed out after ${timeout / 1000}s` : error.message}, retrying in ${delay / 1000}s (${attempt + 1}/${retries})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Resolve a dotted path (e.g. "summary.failed") in a payload
+ */
+function getPath(payload, keyPath) {
+  return keyPath.split('.').reduce((value, key) => value === undefined || value === null ? undefined : value[key], payload);
+}
+
+/**
+ * Render a payload template: every "{{ path }}" in its strings is replaced by the payload value
+ * at that path. A string made of a single placeholder keeps the value type (numbers, lists...)
+ */
+export function renderTemplate(template, payload) {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) {
+      const value = getPath(payload, whole[1]);
+      return value === undefined ? null : value;
+    }
+
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, keyPath) => {
+      const value = getPath(payload, keyPath);
+      if (value === undefined || value === null) {
+        return '';
+      }
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, payload));
+  }
+
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, payload)]));
+  }
+
+  return template;
+}
+
+/**
+ * Send the backup summary payload to a webhook URL, as is or shaped by its `template`
+ */
+export async function sendWebhook(notification, payload) {
+  const body = notification.template !== undefined ? renderTemplate(notification.template, payload) : payload;
+  await postJson(notification, body);
+}
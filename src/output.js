@@ -0,0 +1,186 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { format } from 'util';
+import { redactSecrets, redactValue } from './secrets.js';
+
+/**
+ * Log levels, from the most to the least verbose
+ */
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Log formats: today's human readable lines, or one JSON object per line
+ */
+export const LOG_FORMATS = ['text', 'json'];
+
+/**
+ * Context of the current async execution: a text prefix, the fields added to every event
+ * (database, storage, phase...) and the handler receiving the events instead of the console
+ */
+const contextStorage = new AsyncLocalStorage();
+let installed = false;
+// Set once the CLI configured logging: until then, console calls made outside of a lunasdb
+// context are left untouched (lunasdb used as a library)
+let configured = false;
+let logsToStderr = false;
+let logFormat = 'text';
+let logLevel = 'info';
+
+/**
+ * Original console methods, kept before patching
+ */
+const originalConsole = {
+  debug: console.debug.bind(console),
+  log: console.log.bind(console),
+  info: console.info.bind(console),
+  warn: console.warn.bind(console),
+  error: console.error.bind(console)
+};
+
+/**
+ * Build the structured form of a log event: { time, level, msg, ...fields }, secrets redacted
+ * Returns null for separators and blank lines, which only make sense on a terminal
+ */
+function createEvent(level, message, fields) {
+  const msg = redactSecrets(message).trim();
+  if (!/[^=\s-]/.test(msg)) {
+    return null;
+  }
+
+  return { time: new Date().toISOString(), level, msg, ...redactValue(fields) };
+}
+
+/**
+ * Write a log event, in the configured format and only when its level is enabled
+ * Secrets are redacted from the message and every field. Errors go to stderr, like console.error
+ */
+function writeEvent(level, message, fields = {}, toStderr = level === 'error') {
+  const context = contextStorage.getStore() || {};
+
+  // Event handlers receive every event, whatever the log level
+  if (context.onEvent) {
+    const event = createEvent(level, message, { ...context.fields, ...fields });
+    if (event) {
+      context.onEvent(event);
+    }
+    return;
+  }
+
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(logLevel)) {
+    return;
+  }
+
+  const write = logsToStderr || toStderr ? originalConsole.error : originalConsole.log;
+
+  if (logFormat === 'json') {
+    const event = createEvent(level, message, { ...context.fields, ...fields });
+    if (event) {
+      write(JSON.stringify(event));
+    }
+    return;
+  }
+
+  const text = redactSecrets(message);
+
+  if (!context.prefix) {
+    write(text);
+    return;
+  }
+
+  write(text.split('\n').map(line => `${context.prefix} ${line}`).join('\n'));
+}
+
+/**
+ * Structured logger: `logger.info(message, { durationMs, bytes })`, and `logger.warn`/`logger.error`
+ * for warnings and failures. In text mode only the message is printed (errors on stderr), in JSON
+ * mode the fields are added to the event
+ */
+export const logger = Object.fromEntries(LOG_LEVELS.map(level => [level, (message, fields) => writeEvent(level, message, fields)]));
+
+/**
+ * Patch the console once so every console call becomes a log event: secrets are redacted,
+ * lines are prefixed inside runWithPrefix, and the format and level settings apply
+ */
+export function installConsole() {
+  if (installed) {
+    return;
+  }
+  installed = true;
+
+  const levels = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+
+  for (const [method, defaultLevel] of Object.entries(levels)) {
+    console[method] = (...args) => {
+      if (!configured && !contextStorage.getStore()) {
+        originalConsole[method](...args);
+        return;
+      }
+
+      // Warnings and failures are logged with `logger`, console calls keep the level of their method
+      writeEvent(defaultLevel, format(...args), {}, method === 'warn' || method === 'error');
+    };
+  }
+}
+
+/**
+ * Set the log format ('text' or 'json') and the minimum level of the events written
+ */
+export function configureLogging({ format: newFormat, level } = {}) {
+  installConsole();
+  configured = true;
+
+  if (newFormat !== undefined) {
+    if (!LOG_FORMATS.includes(newFormat)) {
+      throw new Error(`Invalid log format "${newFormat}". Must be one of: ${LOG_FORMATS.join(', ')}`);
+    }
+    logFormat = newFormat;
+  }
+
+  if (level !== undefined) {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`Invalid log level "${level}". Must be one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    logLevel = level;
+  }
+}
+
+/**
+ * Send all console output to stderr, so stdout only carries machine-readable output (--json)
+ */
+export function redirectLogsToStderr() {
+  installConsole();
+  configured = true;
+  logsToStderr = true;
+}
+
+/**
+ * Add fields (database, storage, phase...) to every event logged inside the async context of `fn`
+ */
+export function runWithLogContext(fields, fn) {
+  installConsole();
+  const context = contextStorage.getStore() || {};
+  return contextStorage.run({ ...context, fields: { ...context.fields, ...fields } }, fn);
+}
+
+/**
+ * Prefix every console line written inside the async context of `fn`
+ * Used to keep output readable when several backups run at once
+ */
+export function runWithPrefix(prefix, fn) {
+  installConsole();
+  const context = contextStorage.getStore() || {};
+  return contextStorage.run({ ...context, prefix }, fn);
+}
+
+/**
+ * Deliver the events logged inside the async context of `fn` to `onEvent` instead of the console
+ * Without a handler, events are logged as usual
+ */
+export function runWithEventHandler(onEvent, fn) {
+  if (!onEvent) {
+    return fn();
+  }
+
+  installConsole();
+  const context = contextStorage.getStore() || {};
+  return contextStorage.run({ ...context, onEvent }, fn);
+}
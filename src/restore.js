@@ -0,0 +1,154 @@
+import { listStorageBackups, downloadStorageFile } from './storage/index.js';
+import { isEncryptedBackup } from './backup-files.js';
+import { decryptFile, ENCRYPTED_EXTENSION } from './encryption.js';
+import { getDatabaseDriver } from './drivers.js';
+import { readStoredManifest } from './integrity.js';
+import { logger } from './output.js';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Pick the storage destination to restore from: its index in the storage list (as in backup
+ * results and the `backups` inventory), its profile name, or its type
+ */
+function selectStorage(name, config, from) {
+  if (from === undefined || from === null) {
+    return config.storage[0];
+  }
+
+  const value = String(from);
+  const storageConfig = /^\d+$/.test(value)
+    ? config.storage[Number(value)]
+    : config.storage.find(s => s.profile === value) || config.storage.find(s => s.type === value);
+
+  if (!storageConfig) {
+    const available = config.storage.map((s, index) => `${index} (${s.type}${s.profile ? ` ${s.profile}` : ''})`).join(', ');
+    throw new Error(`Database "${name}" has no storage "${value}" configured. Available: ${available}`);
+  }
+
+  // A type shared by several destinations picks the first one
+  if (!storageConfig.profile || storageConfig.profile !== value) {
+    const sameType = config.storage.filter(s => s.type === value);
+    if (sameType.length > 1) {
+      logger.warn(`⚠ Database "${name}" has ${sameType.length} ${value} storages, restoring from the first one (index ${config.storage.indexOf(storageConfig)}). Pass its index or profile name to --from to pick another`);
+    }
+  }
+
+  return storageConfig;
+}
+
+/**
+ * Get the number of parallel jobs a backup was dumped with, from its manifest
+ * Returns undefined for backups without one (the database configuration applies)
+ */
+async function getDumpJobs(fileName, config) {
+  try {
+    const manifest = await readStoredManifest(fileName, config);
+    return manifest.compression && manifest.compression.jobs ? manifest.compression.jobs : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Restore a backup of a configured database from one of its storage destinations
+ *
+ * Options: { from?: storage index, profile name or type, backup?: string, latest?: boolean,
+ *            targetHost?: string, targetPort?: number, targetDatabase?: string, force?: boolean }
+ */
+export async function restoreDatabase(name, config, options = {}) {
+  if (options.backup && options.latest) {
+    throw new Error('Options --backup and --latest cannot be used together');
+  }
+
+  const storageConfig = selectStorage(name, config, options.from);
+  const driver = getDatabaseDriver(config.type);
+
+  if (!driver.restore || !driver.isEmpty) {
+    throw new Error(`Restore is not supported for ${config.type} database "${name}". Restore its backup file with the native tools`);
+  }
+
+  const target = {
+    ...config,
+    host: options.targetHost || config.host,
+    port: options.targetPort || config.port,
+    database: options.targetDatabase || config.database
+  };
+
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`Starting restore: ${name}`);
+  console.log(`Source: ${storageConfig.type}${storageConfig.profile ? ` [${storageConfig.profile}]` : ''} (index ${config.storage.indexOf(storageConfig)})`);
+  console.log(`Target: ${target.database} (${config.type}) on ${target.host}:${target.port}`);
+  console.log(`${'='.repeat(60)}\n`);
+
+  const startTime = Date.now();
+
+  // Locate the backup to restore
+  const backups = await listStorageBackups(name, storageConfig);
+  let backup;
+
+  if (options.backup) {
+    backup = backups.find(b => b.name === options.backup);
+    if (!backup) {
+      throw new Error(`Backup "${options.backup}" not found in ${storageConfig.type} storage for database "${name}"`);
+    }
+  } else {
+    backup = backups[0];
+    if (!backup) {
+      throw new Error(`No backups found in ${storageConfig.type} storage for database "${name}"`);
+    }
+  }
+
+  console.log(`Selected backup: ${backup.name} (${(backup.size / (1024 * 1024)).toFixed(2)} MB)`);
+
+  // Refuse to overwrite existing data unless forced
+  const empty = await driver.isEmpty(target);
+
+  if (!empty && !options.force) {
+    throw new Error(`Target database "${target.database}" on ${target.host}:${target.port} is not empty. Use --force to overwrite it`);
+  }
+
+  // Create temp directory for downloads
+  const tempDir = '/tmp/backups';
+  if (!fs.existsSync(tempDir)) {
+    fs.mkdirSync(tempDir, { recursive: true });
+  }
+
+  const downloadPath = path.join(tempDir, backup.name);
+  let backupPath = downloadPath;
+  const storageSpecificConfig = { ...config, storage: storageConfig };
+
+  try {
+    await downloadStorageFile(backup.name, storageSpecificConfig, downloadPath);
+
+    // Decrypt with the key material of the storage (or database) encryption configuration
+    if (isEncryptedBackup(backup.name)) {
+      const encryption = storageConfig.encryption || config.encryption;
+      if (!encryption) {
+        throw new Error(`Backup "${backup.name}" is encrypted but no encryption configuration is set for database "${name}"`);
+      }
+
+      backupPath = downloadPath.slice(0, -ENCRYPTED_EXTENSION.length);
+      console.log(`Decrypting backup: ${backup.name}`);
+      await decryptFile(downloadPath, backupPath, encryption);
+    }
+
+    await driver.restore(name, target, backupPath, { clean: !empty, jobs: await getDumpJobs(backup.name, storageSpecificConfig) });
+  } finally {
+    // Clean up downloaded and decrypted files
+    for (const file of new Set([downloadPath, backupPath])) {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    }
+  }
+
+  return {
+    name,
+    backup: backup.name,
+    source: backup.path,
+    target: `${target.host}:${target.port}/${target.database}`,
+    size: backup.size,
+    duration: Date.now() - startTime
+  };
+}
@@ -0,0 +1,210 @@
+import { listStorageBackups, deleteStorageFile } from './storage/index.js';
+import { parseBackupDate } from './backup-files.js';
+
+const DURATION_UNITS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  m: 30 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Count-based rules of a retention policy, in evaluation order
+ */
+const BUCKETS = [
+  ['daily', date => date.toISOString().slice(0, 10)],
+  ['weekly', date => isoWeek(date)],
+  ['monthly', date => date.toISOString().slice(0, 7)],
+  ['yearly', date => date.toISOString().slice(0, 4)]
+];
+
+/**
+ * Get the ISO week of a date (UTC), e.g. "2024-W03"
+ */
+function isoWeek(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  // Move to the Thursday of the same week, which decides the week-year
+  day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((day - yearStart) / DURATION_UNITS.d + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a duration such as "36h", "30d", "8w", "6m" or "1y" (a plain number means days)
+ * Returns the duration in milliseconds, or null if it is invalid
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') {
+    return value > 0 ? value * DURATION_UNITS.d : null;
+  }
+
+  const match = typeof value === 'string' && value.trim().match(/^(\d+)\s*([hdwmy])$/);
+  if (!match || parseInt(match[1], 10) === 0) {
+    return null;
+  }
+
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * Build the retention policy of a storage configuration
+ * `keep: N` is shorthand for `retention: { keepLast: N }`
+ */
+export function getRetentionPolicy(storageConfig) {
+  const policy = { ...(storageConfig.retention || {}) };
+
+  if (policy.keepLast === undefined && (storageConfig.keep || !storageConfig.retention)) {
+    policy.keepLast = storageConfig.keep || 10;
+  }
+
+  return policy;
+}
+
+/**
+ * Human readable description of a retention policy
+ */
+export function describeRetention(policy) {
+  const parts = [];
+
+  if (policy.keepLast) {
+    parts.push(`last ${policy.keepLast}`);
+  }
+  for (const [bucket] of BUCKETS) {
+    if (policy[bucket]) {
+      parts.push(`${policy[bucket]} ${bucket}`);
+    }
+  }
+  if (policy.maxAge) {
+    parts.push(`max age ${policy.maxAge}`);
+  }
+  if (policy.minKeep) {
+    parts.push(`min ${policy.minKeep}`);
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Decide which backups a retention policy keeps
+ *
+ * Backups are dated by the timestamp in their file name (modification time as fallback).
+ * Count rules (keepLast, daily, weekly, monthly, yearly) select backups to keep, maxAge then
+ * removes anything older, and minKeep always keeps the newest backups as a safety floor.
+ * Returns one decision per backup, newest first: { backup, date, keep, reasons }
+ */
+export function evaluateRetention(backups, policy, now = new Date()) {
+  const decisions = backups
+    .map(backup => ({
+      backup,
+      date: parseBackupDate(backup.name) || new Date(backup.mtime),
+      keep: false,
+      reasons: []
+    }))
+    .sort((a, b) => b.date - a.date);
+
+  const hasCountRules = policy.keepLast || BUCKETS.some(([bucket]) => policy[bucket]);
+
+  if (!hasCountRules) {
+    for (const decision of decisions) {
+      decision.keep = true;
+      decision.reasons.push('no count limit');
+    }
+  }
+
+  if (policy.keepLast) {
+    for (const decision of decisions.slice(0, policy.keepLast)) {
+      decision.keep = true;
+      decision.reasons.push(`last ${policy.keepLast}`);
+    }
+  }
+
+  // Keep the newest backup of each of the N most recent periods
+  for (const [bucket, periodOf] of BUCKETS) {
+    if (!policy[bucket]) {
+      continue;
+    }
+
+    const periods = new Set();
+    for (const decision of decisions) {
+      if (periods.size >= policy[bucket]) {
+        break;
+      }
+
+      const period = periodOf(decision.date);
+      if (!periods.has(period)) {
+        periods.add(period);
+        decision.keep = true;
+        decision.reasons.push(`${bucket} ${period}`);
+      }
+    }
+  }
+
+  if (policy.maxAge) {
+    const maxAge = parseDuration(policy.maxAge);
+    for (const decision of decisions) {
+      if (now - decision.date > maxAge) {
+        decision.keep = false;
+        decision.reasons = [`older than maxAge ${policy.maxAge}`];
+      }
+    }
+  }
+
+  if (policy.minKeep) {
+    for (const decision of decisions.slice(0, policy.minKeep)) {
+      if (!decision.keep) {
+        decision.keep = true;
+        decision.reasons.push(`minKeep ${policy.minKeep}`);
+      }
+    }
+  }
+
+  for (const decision of decisions) {
+    if (!decision.keep && decision.reasons.length === 0) {
+      decision.reasons.push('not selected by retention policy');
+    }
+  }
+
+  return decisions;
+}
+
+/**
+ * Apply the retention policy of a single storage destination to the backups of a database
+ * With `dryRun`, nothing is deleted and every decision is printed
+ */
+export async function rotateBackups(name, config, options = {}) {
+  const storageConfig = config.storage;
+  const policy = getRetentionPolicy(storageConfig);
+
+  try {
+    const backups = await listStorageBackups(name, storageConfig);
+    const decisions = evaluateRetention(backups, policy);
+    const toDelete = decisions.filter(decision => !decision.keep);
+    const kept = decisions.filter(decision => decision.keep);
+
+    if (options.dryRun) {
+      console.log(`[${storageConfig.type}] Retention preview (${describeRetention(policy)}): ${kept.length} kept, ${toDelete.length} to delete`);
+      for (const decision of decisions) {
+        console.log(`  ${decision.keep ? 'keep  ' : 'delete'} ${decision.backup.name} (${decision.reasons.join(', ')})`);
+      }
+    } else if (toDelete.length > 0) {
+      console.log(`Rotating backups: deleting ${toDelete.length} old backup(s)`);
+
+      for (const decision of toDelete) {
+        await deleteStorageFile(decision.backup.name, config);
+        console.log(`  Deleted: ${decision.backup.name} (${decision.reasons.join(', ')})`);
+      }
+    } else {
+      console.log(`Backup rotation: keeping ${kept.length} backup(s) (policy: ${describeRetention(policy)})`);
+    }
+
+    return {
+      kept: kept.map(decision => decision.backup.name),
+      deleted: toDelete.map(decision => decision.backup.name)
+    };
+  } catch (error) {
+    console.error(`Error during ${storageConfig.type} backup rotation: ${error.message}`);
+    throw error;
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * Config keys whose values are secrets, wherever they appear in the config
+ */
+const SECRET_KEYS = ['password', 'passphrase', 'privateKeyPassphrase', 'accessKeyId', 'secretAccessKey', 'secret'];
+
+/**
+ * Config keys whose values name things (databases, users, hosts) and appear in most log lines
+ */
+const NAME_KEYS = ['database', 'user', 'username', 'host', 'type', 'name'];
+
+/**
+ * Secrets shorter than this are only hidden where they are known to be a secret
+ * (a secret field or the password of a URI), like a password of "root" or "1234"
+ */
+const MIN_SECRET_LENGTH = 6;
+
+/**
+ * Field names a secret value follows in text, e.g. `password=...`, `PGPASSWORD: ...`, `"secret":"..."`
+ */
+const SECRET_FIELD = '(?:password|passwd|pwd|passphrase|secret|accesskeyid|secretaccesskey|token)';
+
+/**
+ * Secret values to hide from output, error messages and notifications
+ */
+const secrets = new Set();
+
+/**
+ * Names used in the configuration, never hidden outside of secret fields even if a secret matches
+ */
+const names = new Set();
+
+/**
+ * Register a secret value so it is redacted from now on
+ */
+export function registerSecret(value) {
+  if (value !== undefined && value !== null && String(value).length > 0) {
+    secrets.add(String(value));
+  }
+}
+
+/**
+ * Register a name of the configuration (database, user, host...)
+ */
+function registerName(value) {
+  if (typeof value === 'string' || typeof value === 'number') {
+    names.add(String(value));
+  }
+}
+
+/**
+ * Register every secret of a configuration: credentials, key passphrases, webhook secrets
+ * and headers, and the password of connection URIs
+ */
+export function collectSecrets(value) {
+  if (Array.isArray(value)) {
+    value.forEach(collectSecrets);
+    return;
+  }
+
+  if (!value || typeof value !== 'object') {
+    return;
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    if (SECRET_KEYS.includes(key) && typeof item !== 'object') {
+      registerSecret(item);
+    } else if (NAME_KEYS.includes(key) && typeof item !== 'object') {
+      registerName(item);
+    } else if (key === 'headers' && item && typeof item === 'object') {
+      // Webhook headers usually carry tokens (e.g. Authorization: Bearer ...)
+      Object.values(item).forEach(registerSecret);
+    } else if (key === 'uri' && typeof item === 'string') {
+      try {
+        const url = new URL(item);
+        registerSecret(url.password);
+        registerSecret(url.password && decodeURIComponent(url.password));
+      } catch {
+        // Not a URL, nothing to hide
+      }
+    } else {
+      if (key === 'databases' && item && typeof item === 'object' && !Array.isArray(item)) {
+        Object.keys(item).forEach(registerName);
+      }
+      collectSecrets(item);
+    }
+  }
+}
+
+/**
+ * Whether a secret is hidden wherever it appears, rather than only in secret fields and URIs
+ */
+function isDistinctiveSecret(secret) {
+  return secret.length >= MIN_SECRET_LENGTH && !names.has(secret);
+}
+
+/**
+ * Escape a text for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Replace every registered secret in a text with "***"
+ * Short secrets and secrets equal to a name are only replaced in secret fields and URI passwords
+ */
+export function redactSecrets(text) {
+  let redacted = String(text);
+
+  // Longest first, so a secret containing another one is fully hidden
+  for (const secret of [...secrets].sort((a, b) => b.length - a.length)) {
+    if (isDistinctiveSecret(secret)) {
+      redacted = redacted.split(secret).join('***');
+      continue;
+    }
+
+    const value = escapeRegExp(secret);
+    const end = '(?=$|[\\s"\'&,;}@/])';
+    redacted = redacted
+      .replace(new RegExp(`(${SECRET_FIELD}["']?\\s*[:=]\\s*["']?)${value}${end}`, 'gi'), '$1***')
+      .replace(new RegExp(`(://[^\\s:/@]*:)${value}@`, 'g'), '$1***@');
+  }
+
+  return redacted;
+}
+
+/**
+ * Redact every string of a value (e.g. a webhook payload), and hide its secret fields entirely
+ */
+export function redactValue(value) {
+  if (typeof value === 'string') {
+    return redactSecrets(value);
+  } else if (Array.isArray(value)) {
+    return value.map(redactValue);
+  } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_KEYS.includes(key) && (typeof item === 'string' || typeof item === 'number') ? '***' : redactValue(item)
+    ]));
+  }
+
+  return value;
+}
@@ -0,0 +1,74 @@
+import { getStorageDriver } from '../drivers.js';
+
+/**
+ * Save a backup file (and its manifest) to a single storage destination
+ */
+export async function saveStorageFile(backupFilePath, config, manifestPath = null) {
+  return getStorageDriver(config.storage.type).save(backupFilePath, config, manifestPath);
+}
+
+/**
+ * List the backups of a database in a single storage destination, newest first
+ */
+export async function listStorageBackups(name, storageConfig) {
+  return getStorageDriver(storageConfig.type).list(storageConfig, name);
+}
+
+/**
+ * Open a read stream on a file of a single storage destination
+ */
+export async function readStorageFile(fileName, config) {
+  const driver = getStorageDriver(config.storage.type);
+  if (!driver.read) {
+    throw new Error(`Storage type ${config.storage.type} does not support reading files`);
+  }
+
+  return driver.read(fileName, config);
+}
+
+/**
+ * Download a file of a single storage destination to the given destination path
+ */
+export async function downloadStorageFile(fileName, config, destinationPath) {
+  return getStorageDriver(config.storage.type).download(fileName, config, destinationPath);
+}
+
+/**
+ * Delete a backup and its manifest from a single storage destination
+ */
+export async function deleteStorageFile(fileName, config) {
+  return getStorageDriver(config.storage.type).delete(fileName, config);
+}
+
+/**
+ * Open a streaming write target of a single storage destination
+ * Returns { stream, commit(manifest), abort() }
+ */
+export function createStorageWriteTarget(fileName, config) {
+  const driver = getStorageDriver(config.storage.type);
+  if (!driver.createWriteTarget) {
+    throw new Error(`Storage type ${config.storage.type} does not support streaming`);
+  }
+
+  return driver.createWriteTarget(fileName, config);
+}
+
+/**
+ * Check that backups of a database can be written to a single storage destination
+ * Resolves with a description of the result, throws otherwise
+ */
+export async function checkStorage(storageConfig, dbName) {
+  const driver = getStorageDriver(storageConfig.type);
+  if (!driver.check) {
+    return 'not checked (unsupported by this storage type)';
+  }
+
+  return driver.check(storageConfig, dbName);
+}
+
+/**
+ * Describe where a storage destination keeps its backups
+ */
+export function describeStorage(storageConfig) {
+  return getStorageDriver(storageConfig.type).describe(storageConfig);
+}
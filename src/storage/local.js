@@ -1,12 +1,14 @@
 import fs from 'fs';
 import path from 'path';
+import { finished } from 'stream/promises';
+import { isBackupFile, isBackupOf } from '../backup-files.js';
+import { getManifestName } from '../manifest.js';
 
 /**
- * Save backup to local storage and manage rotation
+ * Save backup to local storage
  */
-export async function saveToLocal(backupFilePath, config) {
+export async function saveToLocal(backupFilePath, config, manifestPath = null) {
   const storagePath = config.storage.path;
-  const keep = config.storage.keep || 10;
 
   // Ensure storage directory exists
   if (!fs.existsSync(storagePath)) {
@@ -23,49 +25,165 @@ export async function saveToLocal(backupFilePath, config) {
 
   console.log(`[Local] Backup saved to: ${destinationPath}`);
 
-  // Perform rotation - delete old backups
-  await rotateLocalBackups(storagePath, keep);
+  // Store the manifest next to the backup
+  if (manifestPath) {
+    fs.copyFileSync(manifestPath, getManifestName(destinationPath));
+  }
 
   return destinationPath;
 }
 
 /**
- * Rotate backups - keep only the N most recent files
+ * Open a streaming write target in local storage
+ *
+ * Data is written to a `.partial` file that is renamed to the backup file name (and gets its
+ * manifest) on commit, or removed on abort, so a failed stream never looks like a backup
  */
-async function rotateLocalBackups(directory, keep) {
-  try {
-    // Get all files in directory
-    const files = fs.readdirSync(directory)
-      .filter(file => {
-        const fullPath = path.join(directory, file);
-        return fs.statSync(fullPath).isFile() && (file.endsWith('.sql.gz') || file.endsWith('.dump'));
-      })
-      .map(file => {
-        const fullPath = path.join(directory, file);
-        return {
-          name: file,
-          path: fullPath,
-          mtime: fs.statSync(fullPath).mtime
-        };
-      });
-
-    // Sort by modification time (newest first)
-    files.sort((a, b) => b.mtime - a.mtime);
-
-    // Delete files beyond the keep limit
-    if (files.length > keep) {
-      const filesToDelete = files.slice(keep);
-      console.log(`Rotating backups: deleting ${filesToDelete.length} old backup(s)`);
-
-      for (const file of filesToDelete) {
-        fs.unlinkSync(file.path);
-        console.log(`  Deleted: ${file.name}`);
+export function createLocalWriteTarget(fileName, config) {
+  const storagePath = config.storage.path;
+
+  // Ensure storage directory exists
+  if (!fs.existsSync(storagePath)) {
+    fs.mkdirSync(storagePath, { recursive: true });
+  }
+
+  const destinationPath = path.join(storagePath, fileName);
+  const partialPath = `${destinationPath}.partial`;
+  const stream = fs.createWriteStream(partialPath);
+
+  return {
+    stream,
+    async commit(manifest) {
+      fs.renameSync(partialPath, destinationPath);
+      fs.writeFileSync(getManifestName(destinationPath), manifest);
+      console.log(`[Local] Backup saved to: ${destinationPath}`);
+      return destinationPath;
+    },
+    async abort() {
+      stream.destroy();
+      await finished(stream).catch(() => {});
+      if (fs.existsSync(partialPath)) {
+        fs.unlinkSync(partialPath);
       }
-    } else {
-      console.log(`Backup rotation: keeping ${files.length} backup(s) (limit: ${keep})`);
     }
-  } catch (error) {
-    console.error(`Error during backup rotation: ${error.message}`);
-    throw error;
+  };
+}
+
+/**
+ * List backup files in a local directory, newest first
+ * When a database name is given, only the backups of that database are returned
+ */
+export function listLocalBackups(directory, dbName = null) {
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+
+  const files = fs.readdirSync(directory)
+    .filter(file => dbName ? isBackupOf(file, dbName) : isBackupFile(file))
+    .map(file => {
+      const fullPath = path.join(directory, file);
+      return { name: file, path: fullPath, stats: fs.statSync(fullPath) };
+    })
+    .filter(file => file.stats.isFile())
+    .map(file => ({
+      name: file.name,
+      path: file.path,
+      size: file.stats.size,
+      mtime: file.stats.mtime
+    }));
+
+  // Sort by modification time (newest first)
+  files.sort((a, b) => b.mtime - a.mtime);
+
+  return files;
+}
+
+/**
+ * Copy a backup from local storage to the given destination path
+ */
+export async function downloadFromLocal(fileName, config, destinationPath) {
+  const sourcePath = path.join(config.storage.path, fileName);
+
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`Backup not found in local storage: ${sourcePath}`);
+  }
+
+  console.log(`[Local] Copying backup from: ${sourcePath}`);
+  fs.copyFileSync(sourcePath, destinationPath);
+
+  return destinationPath;
+}
+
+/**
+ * Open a read stream on a file stored in local storage
+ */
+export async function readFromLocal(fileName, config) {
+  const sourcePath = path.join(config.storage.path, fileName);
+
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`File not found in local storage: ${sourcePath}`);
+  }
+
+  return fs.createReadStream(sourcePath);
+}
+
+/**
+ * Delete a backup and its manifest from local storage
+ */
+export async function deleteFromLocal(fileName, config) {
+  const filePath = path.join(config.storage.path, fileName);
+
+  for (const file of [filePath, getManifestName(filePath)]) {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
   }
 }
+
+/**
+ * Check that a local storage directory is writable and has room for another backup
+ * Resolves with a description of the free space, throws otherwise
+ */
+export async function checkLocal(storageConfig, dbName) {
+  const storagePath = storageConfig.path;
+
+  fs.mkdirSync(storagePath, { recursive: true });
+
+  // Write and remove a probe file, this also catches read-only mounts
+  const probePath = path.join(storagePath, `.lunasdb-check-${Date.now()}`);
+  fs.writeFileSync(probePath, 'lunasdb check');
+  fs.unlinkSync(probePath);
+
+  const stats = fs.statfsSync(storagePath);
+  const free = stats.bavail * stats.bsize;
+  const freeGB = (free / (1024 * 1024 * 1024)).toFixed(2);
+
+  // The next backup is expected to be about the size of the latest one
+  const [latest] = listLocalBackups(storagePath, dbName);
+  if (latest && latest.size > free) {
+    const latestGB = (latest.size / (1024 * 1024 * 1024)).toFixed(2);
+    throw new Error(`only ${freeGB} GB free, the latest backup takes ${latestGB} GB`);
+  }
+
+  return `writable, ${freeGB} GB free`;
+}
+
+/**
+ * Local filesystem storage driver
+ */
+export const localDriver = {
+  type: 'local',
+  validate(name, storageConfig, storageLabel) {
+    if (!storageConfig.path) {
+      throw new Error(`Database "${name}" with local ${storageLabel} must specify a path`);
+    }
+  },
+  save: saveToLocal,
+  list: (storageConfig, dbName) => listLocalBackups(storageConfig.path, dbName),
+  delete: deleteFromLocal,
+  download: downloadFromLocal,
+  read: readFromLocal,
+  createWriteTarget: createLocalWriteTarget,
+  check: checkLocal,
+  describe: storageConfig => storageConfig.path
+};
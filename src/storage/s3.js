@@ -1,19 +1,20 @@
-import { S3Client, PutObjectCommand, ListObjectsV2Command, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import { S3Client, PutObjectCommand, ListObjectsV2Command, DeleteObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
 import { Upload } from '@aws-sdk/lib-storage';
 import fs from 'fs';
 import path from 'path';
+import { PassThrough } from 'stream';
+import { pipeline } from 'stream/promises';
+import { isBackupFile, isBackupOf, getBackupContentType } from '../backup-files.js';
+import { getManifestName } from '../manifest.js';
 
 /**
- * Save backup to S3 and manage rotation
+ * Create an S3 client from a storage configuration
  */
-export async function saveToS3(backupFilePath, config) {
-  const bucket = config.storage.bucket;
-  const prefix = config.storage.prefix || '';
-  const region = config.storage.region || 'us-east-1';
-  const keep = config.storage.keep || 10;
-  const accessKeyId = config.storage.accessKeyId;
-  const secretAccessKey = config.storage.secretAccessKey;
-  const endpoint = config.storage.endpoint;
+function createS3Client(storageConfig) {
+  const region = storageConfig.region || 'us-east-1';
+  const accessKeyId = storageConfig.accessKeyId;
+  const secretAccessKey = storageConfig.secretAccessKey;
+  const endpoint = storageConfig.endpoint;
 
   if (!accessKeyId || !secretAccessKey) {
     throw new Error('S3 storage requires accessKeyId and secretAccessKey');
@@ -34,7 +35,17 @@ export async function saveToS3(backupFilePath, config) {
     s3ClientConfig.forcePathStyle = false; // Use virtual-hosted-style URLs
   }
 
-  const s3Client = new S3Client(s3ClientConfig);
+  return new S3Client(s3ClientConfig);
+}
+
+/**
+ * Save backup to S3
+ */
+export async function saveToS3(backupFilePath, config, manifestPath = null) {
+  const bucket = config.storage.bucket;
+  const prefix = config.storage.prefix || '';
+
+  const s3Client = createS3Client(config.storage);
 
   const fileName = path.basename(backupFilePath);
   const s3Key = prefix ? `${prefix}${fileName}` : fileName;
@@ -53,7 +64,7 @@ export async function saveToS3(backupFilePath, config) {
         Bucket: bucket,
         Key: s3Key,
         Body: fileStream,
-        ContentType: 'application/gzip',
+        ContentType: getBackupContentType(fileName),
         Metadata: {
           'backup-date': new Date().toISOString(),
           'original-size': stats.size.toString()
@@ -73,8 +84,15 @@ export async function saveToS3(backupFilePath, config) {
     const sizeMB = (stats.size / (1024 * 1024)).toFixed(2);
     console.log(`[S3] Backup uploaded successfully: ${sizeMB} MB`);
 
-    // Perform rotation - delete old backups
-    await rotateS3Backups(s3Client, bucket, prefix, keep);
+    // Store the manifest next to the backup
+    if (manifestPath) {
+      await s3Client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: getManifestName(s3Key),
+        Body: fs.readFileSync(manifestPath),
+        ContentType: 'application/json'
+      }));
+    }
 
     return `s3://${bucket}/${s3Key}`;
   } catch (error) {
@@ -84,47 +102,206 @@ export async function saveToS3(backupFilePath, config) {
 }
 
 /**
- * Rotate S3 backups - keep only the N most recent files
+ * Open a streaming write target in S3
+ *
+ * The stream feeds a multipart upload that completes (and gets its manifest) on commit;
+ * on abort the upload is cancelled so no partial object is left behind
  */
-async function rotateS3Backups(s3Client, bucket, prefix, keep) {
-  try {
-    // List all objects in the bucket with the given prefix
-    const listCommand = new ListObjectsV2Command({
+export function createS3WriteTarget(fileName, config) {
+  const bucket = config.storage.bucket;
+  const prefix = config.storage.prefix || '';
+
+  const s3Client = createS3Client(config.storage);
+  const s3Key = prefix ? `${prefix}${fileName}` : fileName;
+
+  console.log(`Streaming backup to S3: s3://${bucket}/${s3Key}`);
+
+  const stream = new PassThrough();
+  const upload = new Upload({
+    client: s3Client,
+    params: {
       Bucket: bucket,
-      Prefix: prefix
-    });
+      Key: s3Key,
+      Body: stream,
+      ContentType: getBackupContentType(fileName),
+      Metadata: {
+        'backup-date': new Date().toISOString()
+      }
+    }
+  });
+
+  // Start uploading right away, failures are reported on commit
+  const uploaded = upload.done();
+  uploaded.catch(() => {});
 
-    const response = await s3Client.send(listCommand);
+  return {
+    stream,
+    async commit(manifest) {
+      await uploaded;
+      console.log('[S3] Backup uploaded successfully');
 
-    if (!response.Contents || response.Contents.length === 0) {
-      console.log('No backups found in S3 for rotation');
-      return;
+      // Store the manifest next to the backup
+      await s3Client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: getManifestName(s3Key),
+        Body: manifest,
+        ContentType: 'application/json'
+      }));
+
+      return `s3://${bucket}/${s3Key}`;
+    },
+    async abort() {
+      await upload.abort();
+      stream.destroy();
     }
+  };
+}
 
-    // Filter for backup files and sort by last modified date (newest first)
-    const backupFiles = response.Contents
-      .filter(obj => obj.Key.endsWith('.sql.gz') || obj.Key.endsWith('.dump'))
-      .sort((a, b) => b.LastModified - a.LastModified);
+/**
+ * List backup objects under a prefix, newest first
+ * When a database name is given, only the backups of that database are returned
+ */
+async function listS3Objects(s3Client, bucket, prefix, dbName = null) {
+  const objects = [];
+  let continuationToken;
 
-    // Delete files beyond the keep limit
-    if (backupFiles.length > keep) {
-      const filesToDelete = backupFiles.slice(keep);
-      console.log(`Rotating S3 backups: deleting ${filesToDelete.length} old backup(s)`);
+  do {
+    const response = await s3Client.send(new ListObjectsV2Command({
+      Bucket: bucket,
+      Prefix: prefix,
+      ContinuationToken: continuationToken
+    }));
 
-      for (const file of filesToDelete) {
-        const deleteCommand = new DeleteObjectCommand({
-          Bucket: bucket,
-          Key: file.Key
-        });
+    objects.push(...(response.Contents || []));
+    continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+  } while (continuationToken);
 
-        await s3Client.send(deleteCommand);
-        console.log(`  Deleted: ${file.Key}`);
-      }
-    } else {
-      console.log(`S3 backup rotation: keeping ${backupFiles.length} backup(s) (limit: ${keep})`);
+  return objects
+    .filter(obj => {
+      const fileName = obj.Key.slice(prefix.length);
+      return dbName ? isBackupOf(fileName, dbName) : isBackupFile(fileName);
+    })
+    .sort((a, b) => b.LastModified - a.LastModified);
+}
+
+/**
+ * List backups stored in S3 for a storage configuration, newest first
+ */
+export async function listS3Backups(storageConfig, dbName = null) {
+  const prefix = storageConfig.prefix || '';
+  const s3Client = createS3Client(storageConfig);
+  const objects = await listS3Objects(s3Client, storageConfig.bucket, prefix, dbName);
+
+  return objects.map(obj => ({
+    name: obj.Key.slice(prefix.length),
+    path: `s3://${storageConfig.bucket}/${obj.Key}`,
+    size: obj.Size,
+    mtime: obj.LastModified
+  }));
+}
+
+/**
+ * Download a backup from S3 to the given destination path
+ */
+export async function downloadFromS3(fileName, config, destinationPath) {
+  const bucket = config.storage.bucket;
+  const prefix = config.storage.prefix || '';
+  const s3Key = `${prefix}${fileName}`;
+
+  const s3Client = createS3Client(config.storage);
+
+  console.log(`Downloading backup from S3: s3://${bucket}/${s3Key}`);
+
+  const response = await s3Client.send(new GetObjectCommand({
+    Bucket: bucket,
+    Key: s3Key
+  }));
+
+  await pipeline(response.Body, fs.createWriteStream(destinationPath));
+
+  const sizeMB = (fs.statSync(destinationPath).size / (1024 * 1024)).toFixed(2);
+  console.log(`[S3] Backup downloaded successfully: ${sizeMB} MB`);
+
+  return destinationPath;
+}
+
+/**
+ * Open a read stream on an object stored in S3
+ */
+export async function readFromS3(fileName, config) {
+  const prefix = config.storage.prefix || '';
+  const s3Client = createS3Client(config.storage);
+
+  const response = await s3Client.send(new GetObjectCommand({
+    Bucket: config.storage.bucket,
+    Key: `${prefix}${fileName}`
+  }));
+
+  return response.Body;
+}
+
+/**
+ * Delete a backup and its manifest from S3
+ */
+export async function deleteFromS3(fileName, config) {
+  const bucket = config.storage.bucket;
+  const prefix = config.storage.prefix || '';
+  const s3Client = createS3Client(config.storage);
+
+  for (const key of [`${prefix}${fileName}`, getManifestName(`${prefix}${fileName}`)]) {
+    await s3Client.send(new DeleteObjectCommand({
+      Bucket: bucket,
+      Key: key
+    }));
+  }
+}
+
+/**
+ * Check the put, list and delete permissions of an S3 storage on its prefix
+ * Resolves with a description of the granted permissions, throws otherwise
+ */
+export async function checkS3(storageConfig) {
+  const bucket = storageConfig.bucket;
+  const prefix = storageConfig.prefix || '';
+  const probeKey = `${prefix}.lunasdb-check-${Date.now()}`;
+  const s3Client = createS3Client(storageConfig);
+
+  const steps = [
+    ['put', () => s3Client.send(new PutObjectCommand({ Bucket: bucket, Key: probeKey, Body: 'lunasdb check' }))],
+    ['list', () => s3Client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, MaxKeys: 1 }))],
+    ['delete', () => s3Client.send(new DeleteObjectCommand({ Bucket: bucket, Key: probeKey }))]
+  ];
+
+  for (const [permission, step] of steps) {
+    try {
+      await step();
+    } catch (error) {
+      throw new Error(`${permission} failed on s3://${bucket}/${prefix}: ${error.message}`);
     }
-  } catch (error) {
-    console.error(`Error during S3 backup rotation: ${error.message}`);
-    throw error;
   }
+
+  return 'put, list and delete allowed';
 }
+
+/**
+ * S3 (and S3-compatible) storage driver
+ */
+export const s3Driver = {
+  type: 's3',
+  validate(name, storageConfig, storageLabel) {
+    if (!storageConfig.bucket) {
+      throw new Error(`Database "${name}" with S3 ${storageLabel} must specify a bucket`);
+    }
+  },
+  save: saveToS3,
+  list: listS3Backups,
+  delete: deleteFromS3,
+  download: downloadFromS3,
+  read: readFromS3,
+  createWriteTarget: createS3WriteTarget,
+  check: checkS3,
+  describe: storageConfig => {
+    const location = `s3://${storageConfig.bucket}/${storageConfig.prefix || ''}`;
+    return storageConfig.endpoint ? `${location} at ${storageConfig.endpoint}` : location;
+  }
+};
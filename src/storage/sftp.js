@@ -0,0 +1,343 @@
+import SftpClient from 'ssh2-sftp-client';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+import { isBackupOf, isBackupFile } from '../backup-files.js';
+import { getManifestName } from '../manifest.js';
+
+/**
+ * Check whether a known_hosts host field matches a host pattern ("host" or "[host]:port"),
+ * including hashed entries ("|1|salt|hash")
+ */
+function matchesKnownHost(field, hostPattern) {
+  return field.split(',').some(entry => {
+    if (entry.startsWith('|1|')) {
+      const [, , salt, hash] = entry.split('|');
+      const digest = crypto.createHmac('sha1', Buffer.from(salt, 'base64')).update(hostPattern).digest('base64');
+      return digest === hash;
+    }
+    return entry === hostPattern;
+  });
+}
+
+/**
+ * Build the host key verifier of a storage configuration from its known_hosts file
+ * Returns null when host key checking is disabled
+ */
+function createHostVerifier(storageConfig) {
+  if (storageConfig.strictHostKeyChecking === false) {
+    return null;
+  }
+
+  const knownHostsFile = storageConfig.knownHostsFile || path.join(os.homedir(), '.ssh', 'known_hosts');
+  if (!fs.existsSync(knownHostsFile)) {
+    throw new Error(`SFTP storage requires a known_hosts file to verify ${storageConfig.host} (set knownHostsFile, or strictHostKeyChecking: false)`);
+  }
+
+  const port = storageConfig.port || 22;
+  const hostPattern = port === 22 ? storageConfig.host : `[${storageConfig.host}]:${port}`;
+
+  const knownKeys = fs.readFileSync(knownHostsFile, 'utf8')
+    .split('\n')
+    .map(line => line.trim().split(/\s+/))
+    // Markers such as @cert-authority and @revoked are not supported
+    .filter(([field, keyType, key]) => field && !field.startsWith('#') && !field.startsWith('@') && keyType && key)
+    .filter(([field]) => matchesKnownHost(field, hostPattern))
+    .map(([, , key]) => Buffer.from(key, 'base64'));
+
+  if (knownKeys.length === 0) {
+    throw new Error(`Host ${hostPattern} is not in known_hosts file ${knownHostsFile}`);
+  }
+
+  return (hostKey) => knownKeys.some(key => key.equals(hostKey));
+}
+
+/**
+ * Connect an SFTP client from a storage configuration
+ */
+async function connectSftp(storageConfig) {
+  const connectConfig = {
+    host: storageConfig.host,
+    port: storageConfig.port || 22,
+    username: storageConfig.username,
+    readyTimeout: 20000
+  };
+
+  if (storageConfig.password) {
+    connectConfig.password = storageConfig.password;
+  }
+
+  if (storageConfig.privateKeyFile) {
+    connectConfig.privateKey = fs.readFileSync(storageConfig.privateKeyFile);
+    if (storageConfig.passphrase) {
+      connectConfig.passphrase = storageConfig.passphrase;
+    }
+  }
+
+  let hostKeyRejected = false;
+  const hostVerifier = createHostVerifier(storageConfig);
+  if (hostVerifier) {
+    connectConfig.hostVerifier = (hostKey) => {
+      hostKeyRejected = !hostVerifier(hostKey);
+      return !hostKeyRejected;
+    };
+  }
+
+  const client = new SftpClient();
+  try {
+    await client.connect(connectConfig);
+  } catch (error) {
+    if (hostKeyRejected) {
+      throw new Error(`Host key of ${storageConfig.host} does not match its known_hosts entry`);
+    }
+    throw error;
+  }
+
+  return client;
+}
+
+/**
+ * Get the remote path of a file in an SFTP storage destination
+ */
+function getRemotePath(storageConfig, fileName) {
+  return path.posix.join(storageConfig.path, fileName);
+}
+
+/**
+ * Get the sftp:// URL of a file in an SFTP storage destination
+ */
+function getSftpUrl(storageConfig, remotePath) {
+  const port = storageConfig.port && storageConfig.port !== 22 ? `:${storageConfig.port}` : '';
+  return `sftp://${storageConfig.host}${port}${remotePath.startsWith('/') ? '' : '/'}${remotePath}`;
+}
+
+/**
+ * Save backup to an SFTP server
+ * The file is uploaded under a temporary name and renamed once complete
+ */
+export async function saveToSftp(backupFilePath, config, manifestPath = null) {
+  const storageConfig = config.storage;
+  const fileName = path.basename(backupFilePath);
+  const remotePath = getRemotePath(storageConfig, fileName);
+
+  console.log(`Uploading backup to SFTP: ${getSftpUrl(storageConfig, remotePath)}`);
+
+  const client = await connectSftp(storageConfig);
+  try {
+    await client.mkdir(storageConfig.path, true);
+    await client.fastPut(backupFilePath, `${remotePath}.partial`);
+    await client.rename(`${remotePath}.partial`, remotePath);
+
+    const sizeMB = (fs.statSync(backupFilePath).size / (1024 * 1024)).toFixed(2);
+    console.log(`[SFTP] Backup uploaded successfully: ${sizeMB} MB`);
+
+    // Store the manifest next to the backup
+    if (manifestPath) {
+      await client.put(fs.readFileSync(manifestPath), getManifestName(remotePath));
+    }
+
+    return getSftpUrl(storageConfig, remotePath);
+  } catch (error) {
+    console.error(`Error uploading to SFTP: ${error.message}`);
+    throw error;
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * Open a streaming write target on an SFTP server
+ *
+ * Data is uploaded to a `.partial` file that is renamed (and gets its manifest) on commit,
+ * or removed on abort
+ */
+export function createSftpWriteTarget(fileName, config) {
+  const storageConfig = config.storage;
+  const remotePath = getRemotePath(storageConfig, fileName);
+  const partialPath = `${remotePath}.partial`;
+
+  console.log(`Streaming backup to SFTP: ${getSftpUrl(storageConfig, remotePath)}`);
+
+  const stream = new PassThrough();
+  const connected = connectSftp(storageConfig);
+  const uploaded = connected.then(async client => {
+    await client.mkdir(storageConfig.path, true);
+    await client.put(stream, partialPath);
+  });
+  // A failed connection or upload never drains the stream, fail the branch instead of stalling it
+  uploaded.catch(error => stream.destroy(error));
+
+  const end = () => connected.then(client => client.end(), () => {});
+
+  return {
+    stream,
+    async commit(manifest) {
+      try {
+        await uploaded;
+        const client = await connected;
+        await client.rename(partialPath, remotePath);
+        await client.put(Buffer.from(manifest), getManifestName(remotePath));
+        console.log('[SFTP] Backup uploaded successfully');
+        return getSftpUrl(storageConfig, remotePath);
+      } finally {
+        await end();
+      }
+    },
+    async abort() {
+      stream.destroy();
+      await uploaded.catch(() => {});
+      const client = await connected.catch(() => null);
+      if (client) {
+        await client.delete(partialPath, true).catch(() => {});
+      }
+      await end();
+    }
+  };
+}
+
+/**
+ * List backups stored on an SFTP server for a storage configuration, newest first
+ */
+export async function listSftpBackups(storageConfig, dbName = null) {
+  const client = await connectSftp(storageConfig);
+  try {
+    if (!(await client.exists(storageConfig.path))) {
+      return [];
+    }
+
+    const files = await client.list(storageConfig.path);
+
+    return files
+      .filter(file => file.type === '-' && (dbName ? isBackupOf(file.name, dbName) : isBackupFile(file.name)))
+      .map(file => ({
+        name: file.name,
+        path: getSftpUrl(storageConfig, getRemotePath(storageConfig, file.name)),
+        size: file.size,
+        mtime: new Date(file.modifyTime)
+      }))
+      .sort((a, b) => b.mtime - a.mtime);
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * Download a backup from an SFTP server to the given destination path
+ */
+export async function downloadFromSftp(fileName, config, destinationPath) {
+  const remotePath = getRemotePath(config.storage, fileName);
+
+  console.log(`Downloading backup from SFTP: ${getSftpUrl(config.storage, remotePath)}`);
+
+  const client = await connectSftp(config.storage);
+  try {
+    await client.fastGet(remotePath, destinationPath);
+  } finally {
+    await client.end();
+  }
+
+  const sizeMB = (fs.statSync(destinationPath).size / (1024 * 1024)).toFixed(2);
+  console.log(`[SFTP] Backup downloaded successfully: ${sizeMB} MB`);
+
+  return destinationPath;
+}
+
+/**
+ * Open a read stream on a file stored on an SFTP server
+ */
+export async function readFromSftp(fileName, config) {
+  const remotePath = getRemotePath(config.storage, fileName);
+  const client = await connectSftp(config.storage);
+
+  if (!(await client.exists(remotePath))) {
+    await client.end();
+    throw new Error(`File not found in SFTP storage: ${remotePath}`);
+  }
+
+  const stream = new PassThrough();
+  client.get(remotePath, stream)
+    .catch(error => stream.destroy(error))
+    .finally(() => client.end());
+
+  return stream;
+}
+
+/**
+ * Delete a backup and its manifest from an SFTP server
+ */
+export async function deleteFromSftp(fileName, config) {
+  const remotePath = getRemotePath(config.storage, fileName);
+  const client = await connectSftp(config.storage);
+
+  try {
+    for (const file of [remotePath, getManifestName(remotePath)]) {
+      await client.delete(file, true);
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * Check that an SFTP storage is reachable and its directory writable
+ * Resolves with a description of the result, throws otherwise
+ */
+export async function checkSftp(storageConfig) {
+  const probePath = getRemotePath(storageConfig, `.lunasdb-check-${Date.now()}`);
+  const client = await connectSftp(storageConfig);
+
+  try {
+    await client.mkdir(storageConfig.path, true);
+    await client.put(Buffer.from('lunasdb check'), probePath);
+    await client.delete(probePath);
+  } finally {
+    await client.end();
+  }
+
+  return 'connected, writable';
+}
+
+/**
+ * Validate the connection settings of an SFTP storage
+ */
+function validateSftpConfig(name, storageConfig, storageLabel) {
+  const missing = ['host', 'username', 'path'].filter(field => !storageConfig[field]);
+  if (missing.length > 0) {
+    throw new Error(`Database "${name}" with SFTP ${storageLabel} is missing required fields: ${missing.join(', ')}`);
+  }
+
+  if (!storageConfig.password && !storageConfig.privateKeyFile) {
+    throw new Error(`Database "${name}" with SFTP ${storageLabel} must specify a password or a privateKeyFile`);
+  }
+
+  for (const field of ['privateKeyFile', 'knownHostsFile']) {
+    if (storageConfig[field] && !fs.existsSync(storageConfig[field])) {
+      throw new Error(`Database "${name}" ${storageLabel}.${field} file not found: ${storageConfig[field]}`);
+    }
+  }
+
+  // A server missing from known_hosts would only be refused at the first upload
+  try {
+    createHostVerifier(storageConfig);
+  } catch (error) {
+    throw new Error(`Database "${name}" with SFTP ${storageLabel}: ${error.message}`);
+  }
+}
+
+/**
+ * SFTP storage driver
+ */
+export const sftpDriver = {
+  type: 'sftp',
+  validate: validateSftpConfig,
+  save: saveToSftp,
+  list: listSftpBackups,
+  delete: deleteFromSftp,
+  download: downloadFromSftp,
+  read: readFromSftp,
+  createWriteTarget: createSftpWriteTarget,
+  check: checkSftp,
+  describe: storageConfig => getSftpUrl(storageConfig, storageConfig.path)
+};
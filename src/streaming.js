@@ -0,0 +1,140 @@
+import { Writable, PassThrough } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createStorageWriteTarget } from './storage/index.js';
+import { createEncryptStream, ENCRYPTED_EXTENSION } from './encryption.js';
+import { createHashStream, createManifest } from './manifest.js';
+import { rotateBackups } from './retention.js';
+import { runWithLogContext } from './output.js';
+
+/**
+ * Write a chunk to a branch, resolving once the branch can take more data (or has failed)
+ */
+function writeToBranch(branch, chunk) {
+  if (branch.error || branch.input.destroyed || branch.input.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise(resolve => {
+    const done = () => {
+      branch.input.off('drain', done);
+      branch.input.off('close', done);
+      resolve();
+    };
+    branch.input.on('drain', done);
+    branch.input.on('close', done);
+  });
+}
+
+/**
+ * Stream a dump straight to every storage destination of a database, without a temp file
+ *
+ * The dump output is teed into one branch per destination: optional encryption, checksum,
+ * then the storage write target. A failing destination is dropped without slowing down or
+ * corrupting the others, and is aborted so it leaves no partial backup. Branches are only
+ * ended once the dump succeeded; if it fails, every destination is aborted.
+ *
+ * `options.dump(stream)` runs the dump tool into the given stream and returns its result.
+ * Returns { result, storages, storageErrors }
+ */
+export async function streamToStorages(name, config, fileName, options) {
+  // Events logged by a branch carry its storage type
+  const branches = config.storage.map(storageConfig => runWithLogContext({ storage: storageConfig.type, phase: 'upload' }, () => {
+    // Storage-level encryption overrides the database one (`false` disables it)
+    const encryption = storageConfig.encryption !== undefined ? storageConfig.encryption : config.encryption;
+    const branch = {
+      storageConfig,
+      encryption,
+      fileName: encryption ? `${fileName}${ENCRYPTED_EXTENSION}` : fileName,
+      input: new PassThrough(),
+      hash: createHashStream(),
+      error: null
+    };
+
+    try {
+      branch.target = createStorageWriteTarget(branch.fileName, { ...config, storage: storageConfig });
+      const stages = encryption ? [createEncryptStream(encryption), branch.hash] : [branch.hash];
+      branch.done = pipeline(branch.input, ...stages, branch.target.stream);
+    } catch (error) {
+      branch.input.destroy();
+      branch.done = Promise.reject(error);
+    }
+
+    branch.done.catch(error => {
+      if (!branch.error) {
+        branch.error = error;
+        console.error(`  [${storageConfig.type}] Streaming failed: ${error.message}`);
+        // Drop the partial backup right away, the other destinations keep streaming
+        if (branch.target) {
+          branch.target.abort().catch(() => {});
+        }
+      }
+    });
+
+    return branch;
+  }));
+
+  const source = new Writable({
+    write(chunk, encoding, callback) {
+      Promise.all(branches.map(branch => writeToBranch(branch, chunk))).then(() => callback());
+    }
+  });
+
+  let result;
+  try {
+    result = await options.dump(source);
+  } catch (error) {
+    for (const branch of branches) {
+      branch.error = branch.error || error;
+      branch.input.destroy(error);
+    }
+    await Promise.allSettled(branches.map(branch => branch.done));
+    await Promise.allSettled(branches.filter(branch => branch.target).map(branch => branch.target.abort()));
+    throw error;
+  }
+
+  const completedAt = new Date().toISOString();
+
+  const attempts = branches.map((branch, index) => runWithLogContext({ storage: branch.storageConfig.type, phase: 'upload' }, async () => {
+    const { storageConfig } = branch;
+
+    try {
+      branch.input.end();
+      await branch.done;
+
+      const manifest = createManifest(branch.fileName, branch.hash.digest(), {
+        name,
+        config,
+        dump: result,
+        encrypted: Boolean(branch.encryption),
+        startedAt: options.startedAt,
+        completedAt
+      });
+      const storagePath = await branch.target.commit(JSON.stringify(manifest, null, 2));
+
+      // Perform rotation - delete old backups according to the retention policy
+      await runWithLogContext({ phase: 'rotate' }, () => rotateBackups(name, { ...config, storage: storageConfig }));
+
+      return { type: storageConfig.type, index, path: storagePath, success: true };
+    } catch (error) {
+      if (branch.target) {
+        await branch.target.abort().catch(() => {});
+      }
+      if (!branch.error) {
+        console.error(`  [${storageConfig.type}] Storage failed: ${error.message}`);
+      }
+      return { type: storageConfig.type, index, error: (branch.error || error).message, success: false };
+    }
+  }));
+
+  const storages = [];
+  const storageErrors = [];
+  for (const attempt of await Promise.all(attempts)) {
+    if (attempt.success) {
+      storages.push(attempt);
+    } else {
+      storageErrors.push(attempt);
+    }
+  }
+
+  return { result, storages, storageErrors };
+}
@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import { restoreMySQL, queryMySQL, mysqlDatabaseExists, isMySQLDatabaseEmpty } from './backup/mysql.js';
+import { restorePostgres, queryPostgres, postgresDatabaseExists, isPostgresDatabaseEmpty } from './backup/postgres.js';
+import { logger } from './output.js';
+
+/**
+ * Longest database name accepted by both MySQL (64) and PostgreSQL (63)
+ */
+const MAX_DATABASE_NAME_LENGTH = 63;
+
+/**
+ * Quote an identifier for the given database type
+ */
+function quoteIdentifier(dbType, identifier) {
+  const quote = dbType === 'mysql' || dbType === 'mariadb' ? '`' : '"';
+  return `${quote}${identifier.split(quote).join(quote + quote)}${quote}`;
+}
+
+/**
+ * Quote a (possibly schema-qualified) table name for the given database type
+ */
+function quoteTableName(dbType, table) {
+  return table.split('.').map(part => quoteIdentifier(dbType, part)).join('.');
+}
+
+/**
+ * Generate the name of a scratch database: `lunasdb_verify_<db>_<ts>`, with a long database
+ * name shortened and suffixed with a hash of it to fit the identifier limit
+ */
+function getScratchDatabaseName(database) {
+  const prefix = 'lunasdb_verify_';
+  const suffix = `_${Date.now()}`;
+  const available = MAX_DATABASE_NAME_LENGTH - prefix.length - suffix.length;
+
+  if (database.length <= available) {
+    return `${prefix}${database}${suffix}`;
+  }
+
+  const hash = crypto.createHash('sha256').update(database).digest('hex').slice(0, 8);
+  return `${prefix}${database.slice(0, available - hash.length - 1)}_${hash}${suffix}`;
+}
+
+/**
+ * Check whether a single-value query result should be considered true
+ */
+function isTruthy(value) {
+  return ['1', 't', 'true'].includes(value.trim().toLowerCase());
+}
+
+/**
+ * Verify a backup by restoring it into a throwaway database and running sanity queries
+ *
+ * The scratch database is created on the verification server (the `verify` block
+ * connection settings, falling back to the database's own server) and dropped afterwards.
+ * An existing scratch database is only used if empty, and never dropped.
+ */
+export async function verifyBackup(name, config, backupPath) {
+  const verify = config.verify;
+  const dbType = config.type.toLowerCase();
+  const isMySQL = dbType === 'mysql' || dbType === 'mariadb';
+
+  const scratch = {
+    ...config,
+    host: verify.host || config.host,
+    port: verify.port || config.port,
+    username: verify.username || config.username,
+    password: verify.password !== undefined ? verify.password : config.password,
+    database: verify.database || getScratchDatabaseName(config.database)
+  };
+
+  const query = (sql) => isMySQL ? queryMySQL(scratch, sql, scratch.database) : queryPostgres(scratch, sql);
+
+  console.log(`\nVerifying backup in scratch database: ${scratch.database} on ${scratch.host}:${scratch.port}`);
+
+  const startTime = Date.now();
+  const verification = {
+    success: false,
+    database: scratch.database,
+    tableCount: null,
+    rowCounts: {},
+    assertions: []
+  };
+
+  // Only a scratch database created by lunasdb is dropped, an existing empty one is left in place
+  let created = false;
+  let reused = false;
+
+  try {
+    const exists = await (isMySQL ? mysqlDatabaseExists(scratch) : postgresDatabaseExists(scratch));
+    if (exists && !(await (isMySQL ? isMySQLDatabaseEmpty(scratch) : isPostgresDatabaseEmpty(scratch)))) {
+      throw new Error(`Scratch database "${scratch.database}" on ${scratch.host}:${scratch.port} is not empty, refusing to restore into it`);
+    }
+    created = !exists;
+    reused = exists;
+
+    if (isMySQL) {
+      await restoreMySQL(name, scratch, backupPath);
+    } else {
+      await restorePostgres(name, scratch, backupPath);
+    }
+
+    // Table count
+    const tableCountSql = isMySQL
+      ? `SELECT COUNT(*) FROM information_schema.tables WHERE table_schema = '${scratch.database.replace(/'/g, "''")}'`
+      : "SELECT COUNT(*) FROM information_schema.tables WHERE table_schema NOT IN ('pg_catalog', 'information_schema')";
+    verification.tableCount = parseInt(await query(tableCountSql), 10);
+
+    const minTables = verify.minTables !== undefined ? verify.minTables : 1;
+    if (verification.tableCount < minTables) {
+      throw new Error(`Restored database has ${verification.tableCount} table(s), expected at least ${minTables}`);
+    }
+    console.log(`  Tables: ${verification.tableCount}`);
+
+    // Row counts for listed tables
+    for (const table of verify.tables || []) {
+      const count = parseInt(await query(`SELECT COUNT(*) FROM ${quoteTableName(dbType, table)}`), 10);
+      verification.rowCounts[table] = count;
+      console.log(`  Rows in ${table}: ${count}`);
+    }
+
+    // Custom SQL assertions
+    for (const assertion of verify.assertions || []) {
+      const label = assertion.name || assertion.sql;
+      const value = await query(assertion.sql);
+      const success = assertion.expect !== undefined
+        ? value.trim() === String(assertion.expect)
+        : isTruthy(value);
+
+      verification.assertions.push({ name: label, success, value: value.trim() });
+      logger[success ? 'info' : 'error'](`  ${success ? '✓' : '✗'} Assertion: ${label}`);
+
+      if (!success) {
+        throw new Error(`Assertion failed: ${label} (got "${value.trim()}")`);
+      }
+    }
+
+    verification.success = true;
+    console.log('✓ Backup verification passed');
+  } catch (error) {
+    verification.error = error.message;
+    console.error(`✗ Backup verification failed: ${error.message}`);
+  } finally {
+    if (created) {
+      await dropScratchDatabase(scratch, dbType);
+    } else if (reused) {
+      console.log(`  Scratch database ${scratch.database} existed before verification, left in place`);
+    }
+  }
+
+  verification.duration = Date.now() - startTime;
+
+  return verification;
+}
+
+/**
+ * Drop a scratch database created for verification
+ */
+async function dropScratchDatabase(scratch, dbType) {
+  const isMySQL = dbType === 'mysql' || dbType === 'mariadb';
+
+  try {
+    if (isMySQL) {
+      await queryMySQL(scratch, `DROP DATABASE IF EXISTS ${quoteIdentifier(dbType, scratch.database)}`);
+    } else {
+      await queryPostgres(scratch, `DROP DATABASE IF EXISTS ${quoteIdentifier(dbType, scratch.database)}`, 'postgres');
+    }
+  } catch (error) {
+    console.error(`  Failed to drop scratch database ${scratch.database}: ${error.message}`);
+  }
+}
@@ -0,0 +1,166 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { sendEmail } from '../src/notifications/email.js';
+import { registerSecret } from '../src/secrets.js';
+
+/**
+ * Start a local SMTP server that accepts every message and keeps it
+ * Resolves with { server, port, messages }, each message being { from, to, auth, data }
+ */
+function startSmtpCatcher() {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let message = { from: null, to: [], auth: null, data: '' };
+    let readingData = false;
+
+    socket.write('220 localhost SMTP test server\r\n');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+
+      let lineEnd;
+      while ((lineEnd = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+
+        if (readingData) {
+          if (line === '.') {
+            readingData = false;
+            messages.push(message);
+            message = { from: null, to: [], auth: null, data: '' };
+            socket.write('250 OK: queued\r\n');
+          } else {
+            message.data += `${line.startsWith('..') ? line.slice(1) : line}\n`;
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO') {
+          socket.write('250-localhost\r\n250 AUTH PLAIN\r\n');
+        } else if (command === 'AUTH') {
+          message.auth = Buffer.from(line.split(' ')[2], 'base64').toString().split('\0').slice(1);
+          socket.write('235 Authentication successful\r\n');
+        } else if (command === 'MAIL') {
+          message.from = line.match(/<(.*)>/)[1];
+          socket.write('250 OK\r\n');
+        } else if (command === 'RCPT') {
+          message.to.push(line.match(/<(.*)>/)[1]);
+          socket.write('250 OK\r\n');
+        } else if (command === 'DATA') {
+          readingData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+
+    socket.on('error', () => {});
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, messages }));
+  });
+}
+
+/**
+ * Get a header of a received message, with its encoded words (RFC 2047) decoded
+ */
+function getHeader(message, name) {
+  const headers = message.data.split('\n\n')[0].replace(/\n\s+/g, '');
+  const value = headers.split('\n').find(line => line.startsWith(`${name}: `)).slice(name.length + 2);
+  return value.replace(/=\?UTF-8\?Q\?(.*?)\?=/gi, (match, encoded) => Buffer.from(
+    encoded.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (escape, hex) => String.fromCharCode(parseInt(hex, 16))),
+    'latin1'
+  ).toString('utf8'));
+}
+
+/**
+ * Get the text of a received message, decoded from quoted-printable
+ */
+function getText(message) {
+  const body = message.data.split('\n\n').slice(1).join('\n\n').replace(/=\n/g, '');
+  return Buffer.from(body.replace(/=([0-9A-F]{2})/gi, (escape, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1').toString('utf8');
+}
+
+/**
+ * Backup summary payload, as built for notifications
+ */
+function createPayload(overrides = {}) {
+  return {
+    status: 'success',
+    summary: { total: 1, successful: 1, failed: 0, totalDurationSec: '1.50' },
+    results: [{ name: 'app', success: true, sizeMB: '1.20', durationSec: '1.50', storages: [], storageErrors: [] }],
+    skippedDatabases: [],
+    summaryText: 'Total: 1 | Success: 1 | Failed: 0 | Skipped: 0',
+    ...overrides
+  };
+}
+
+let smtp;
+
+before(async () => {
+  smtp = await startSmtpCatcher();
+});
+
+after(() => {
+  smtp.server.close();
+});
+
+test('sends the backup summary through the SMTP server', async () => {
+  const notification = {
+    type: 'email',
+    from: 'lunasdb@example.com',
+    to: ['ops@example.com', 'dba@example.com'],
+    smtp: { host: '127.0.0.1', port: smtp.port, username: 'mailer', password: 'smtp-test-password' }
+  };
+
+  await sendEmail(notification, createPayload());
+
+  const message = smtp.messages.at(-1);
+  assert.equal(message.from, 'lunasdb@example.com');
+  assert.deepEqual(message.to, ['ops@example.com', 'dba@example.com']);
+  assert.deepEqual(message.auth, ['mailer', 'smtp-test-password']);
+  assert.equal(getHeader(message, 'Subject'), '[lunasdb] ✓ Backup completed: 1/1 database(s) backed up');
+  assert.equal(getText(message), '✓ Backup completed: 1/1 database(s) backed up\n\nTotal: 1 | Success: 1 | Failed: 0 | Skipped: 0\n');
+});
+
+test('prefixes the headline with the configured subject and redacts secrets', async () => {
+  registerSecret('database-secret-password');
+  const notification = {
+    type: 'email',
+    from: 'lunasdb@example.com',
+    to: 'ops@example.com',
+    subject: 'Nightly',
+    smtp: { host: '127.0.0.1', port: smtp.port }
+  };
+
+  await sendEmail(notification, createPayload({
+    status: 'failure',
+    summary: { total: 1, successful: 0, failed: 1, totalDurationSec: '0.10' },
+    summaryText: 'Error: access denied for password database-secret-password'
+  }));
+
+  const message = smtp.messages.at(-1);
+  assert.equal(message.auth, null);
+  assert.equal(getHeader(message, 'Subject'), 'Nightly: ✗ Backup failed: 1/1 database(s) failed');
+  assert.match(getText(message), /access denied for password \*\*\*/);
+  assert.doesNotMatch(message.data, /database-secret-password/);
+});
+
+test('rejects when the SMTP server is unreachable', async () => {
+  const notification = {
+    type: 'email',
+    from: 'lunasdb@example.com',
+    to: 'ops@example.com',
+    smtp: { host: '127.0.0.1', port: 1 }
+  };
+
+  await assert.rejects(sendEmail(notification, createPayload()), /ECONNREFUSED/);
+});
@@ -0,0 +1,115 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+let tempDir;
+
+before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lunasdb-metrics-test-'));
+});
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Import a fresh copy of the metrics module, as a new lunasdb process would start with
+ */
+let importCount = 0;
+function importMetrics() {
+  return import(`../src/metrics.js?run=${++importCount}`);
+}
+
+/**
+ * Get the value of a metric line from a Prometheus exposition text
+ */
+function getSample(text, metric, labels) {
+  const line = text.split('\n').find(candidate => candidate.startsWith(`${metric}{${labels}}`));
+  return line ? Number(line.split(' ').pop()) : undefined;
+}
+
+const config = {
+  databases: { app: { type: 'postgres' } },
+  metrics: {}
+};
+
+test('persists the last success across runs and counts failures', async () => {
+  const textfile = path.join(tempDir, 'textfile', 'lunasdb.prom');
+  const runConfig = { ...config, metrics: { textfile } };
+
+  // First run: a successful backup, stored in two destinations
+  const first = await importMetrics();
+  first.loadMetricsState(runConfig.metrics);
+  first.recordBackupResults(runConfig, [{
+    name: 'app',
+    success: true,
+    size: 2048,
+    duration: 1500,
+    storages: [{ type: 'local', index: 0, success: true }, { type: 's3', index: 1, success: true }],
+    storageErrors: []
+  }]);
+
+  const stateFile = path.join(tempDir, 'textfile', 'lunasdb-state.json');
+  assert.ok(fs.existsSync(stateFile));
+  const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  const lastSuccess = saved.app.lastSuccess;
+  assert.equal(saved.app.lastSize, 2048);
+
+  // Second run, in a new process: the backup fails
+  const second = await importMetrics();
+  second.loadMetricsState(runConfig.metrics);
+  second.recordBackupResults(runConfig, [{
+    name: 'app',
+    success: false,
+    duration: 200,
+    storages: [],
+    storageErrors: [],
+    error: 'connection refused'
+  }]);
+
+  const text = fs.readFileSync(textfile, 'utf8');
+  const labels = 'database="app",type="postgres"';
+  assert.equal(getSample(text, 'lunasdb_backup_last_success_timestamp_seconds', labels), lastSuccess);
+  assert.equal(getSample(text, 'lunasdb_backup_last_status', labels), 0);
+  assert.equal(getSample(text, 'lunasdb_backup_last_size_bytes', labels), 2048);
+  assert.equal(getSample(text, 'lunasdb_backup_failures_total', labels), 1);
+  assert.equal(getSample(text, 'lunasdb_backup_last_duration_seconds', labels), 0.2);
+  assert.equal(getSample(text, 'lunasdb_backup_storage_last_status', `${labels},storage="s3",destination="1"`), 1);
+});
+
+test('uses the configured state file', async () => {
+  const stateFile = path.join(tempDir, 'state', 'custom.json');
+  const runConfig = { ...config, metrics: { stateFile } };
+
+  const metrics = await importMetrics();
+  metrics.recordBackupResults(runConfig, [{ name: 'app', success: true, size: 10, duration: 100, storages: [], storageErrors: [] }]);
+
+  assert.equal(JSON.parse(fs.readFileSync(stateFile, 'utf8')).app.lastSize, 10);
+});
+
+test('keeps running with an unreadable state file', async () => {
+  const stateFile = path.join(tempDir, 'broken.json');
+  fs.writeFileSync(stateFile, '{ not json');
+
+  const metrics = await importMetrics();
+  metrics.loadMetricsState({ stateFile });
+  assert.doesNotMatch(metrics.renderMetrics(), /database=/);
+});
+
+test('labels discovered databases with the type of their server-wide entry', async () => {
+  const textfile = path.join(tempDir, 'discovered', 'lunasdb.prom');
+  const runConfig = { databases: { shared: { type: 'postgres', discover: true } }, metrics: { textfile } };
+
+  const metrics = await importMetrics();
+  metrics.recordBackupResults(runConfig, [
+    { name: 'shared.billing', type: 'postgres', success: true, size: 100, duration: 100, storages: [], storageErrors: [] },
+    { name: 'shared@globals', type: 'postgres', success: true, size: 10, duration: 100, storages: [], storageErrors: [] }
+  ]);
+
+  const text = fs.readFileSync(textfile, 'utf8');
+  assert.equal(getSample(text, 'lunasdb_backup_last_size_bytes', 'database="shared.billing",type="postgres"'), 100);
+  assert.equal(getSample(text, 'lunasdb_backup_last_size_bytes', 'database="shared@globals",type="postgres"'), 10);
+  assert.doesNotMatch(text, /type="undefined"/);
+});
@@ -0,0 +1,279 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ssh2 from 'ssh2';
+import { getStorageDriver } from '../src/drivers.js';
+
+const { Server, utils } = ssh2;
+const { STATUS_CODE, OPEN_MODE } = utils.sftp;
+
+/**
+ * Start an in-process SFTP server serving a local directory, with password authentication
+ * Resolves with { server, port, hostKey }
+ */
+function startSftpServer(root, credentials) {
+  const hostKey = utils.generateKeyPairSync('ecdsa', { bits: 256 });
+
+  const server = new Server({ hostKeys: [hostKey.private] }, (client) => {
+    client.on('authentication', (ctx) => {
+      if (ctx.method === 'password' && ctx.username === credentials.username && ctx.password === credentials.password) {
+        ctx.accept();
+      } else {
+        ctx.reject(['password']);
+      }
+    });
+
+    client.on('ready', () => {
+      client.on('session', (accept) => {
+        accept().on('sftp', (acceptSftp) => serveSftp(acceptSftp(), root));
+      });
+    });
+
+    client.on('error', () => {});
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, port: server.address().port, hostKey: hostKey.public });
+    });
+  });
+}
+
+/**
+ * Answer the SFTP requests of a session from a local directory
+ */
+function serveSftp(sftp, root) {
+  const handles = new Map();
+  let nextHandle = 0;
+
+  const local = remotePath => path.join(root, path.posix.resolve('/', remotePath));
+  const newHandle = (value) => {
+    const handle = Buffer.alloc(4);
+    handle.writeUInt32BE(nextHandle++);
+    handles.set(handle.toString('hex'), value);
+    return handle;
+  };
+  const attrsOf = (stats) => ({
+    mode: stats.mode,
+    uid: stats.uid,
+    gid: stats.gid,
+    size: stats.size,
+    atime: Math.floor(stats.atimeMs / 1000),
+    mtime: Math.floor(stats.mtimeMs / 1000)
+  });
+  const run = (reqid, action) => {
+    try {
+      action();
+    } catch (error) {
+      sftp.status(reqid, error.code === 'ENOENT' ? STATUS_CODE.NO_SUCH_FILE : STATUS_CODE.FAILURE, error.message);
+    }
+  };
+
+  sftp.on('REALPATH', (reqid, remotePath) => {
+    const resolved = path.posix.resolve('/', remotePath);
+    sftp.name(reqid, [{ filename: resolved, longname: resolved, attrs: {} }]);
+  });
+
+  for (const event of ['STAT', 'LSTAT']) {
+    sftp.on(event, (reqid, remotePath) => run(reqid, () => sftp.attrs(reqid, attrsOf(fs.statSync(local(remotePath))))));
+  }
+
+  sftp.on('FSTAT', (reqid, handle) => run(reqid, () => sftp.attrs(reqid, attrsOf(fs.fstatSync(handles.get(handle.toString('hex')).fd)))));
+
+  sftp.on('OPEN', (reqid, remotePath, flags) => run(reqid, () => {
+    const mode = flags & OPEN_MODE.WRITE ? ((flags & OPEN_MODE.APPEND) ? 'a' : 'w') : 'r';
+    sftp.handle(reqid, newHandle({ fd: fs.openSync(local(remotePath), mode) }));
+  }));
+
+  sftp.on('READ', (reqid, handle, offset, length) => run(reqid, () => {
+    const buffer = Buffer.alloc(length);
+    const read = fs.readSync(handles.get(handle.toString('hex')).fd, buffer, 0, length, offset);
+    if (read === 0) {
+      sftp.status(reqid, STATUS_CODE.EOF);
+    } else {
+      sftp.data(reqid, buffer.subarray(0, read));
+    }
+  }));
+
+  sftp.on('WRITE', (reqid, handle, offset, data) => run(reqid, () => {
+    fs.writeSync(handles.get(handle.toString('hex')).fd, data, 0, data.length, offset);
+    sftp.status(reqid, STATUS_CODE.OK);
+  }));
+
+  sftp.on('OPENDIR', (reqid, remotePath) => run(reqid, () => {
+    const dir = local(remotePath);
+    const entries = fs.readdirSync(dir).map(name => {
+      const stats = fs.statSync(path.join(dir, name));
+      return { filename: name, longname: `${stats.isDirectory() ? 'd' : '-'}rw-r--r-- 1 user user ${stats.size} Jan 1 00:00 ${name}`, attrs: attrsOf(stats) };
+    });
+    sftp.handle(reqid, newHandle({ entries }));
+  }));
+
+  sftp.on('READDIR', (reqid, handle) => {
+    const entry = handles.get(handle.toString('hex'));
+    if (!entry.entries || entry.entries.length === 0) {
+      sftp.status(reqid, STATUS_CODE.EOF);
+      return;
+    }
+    sftp.name(reqid, entry.entries.splice(0));
+  });
+
+  sftp.on('CLOSE', (reqid, handle) => run(reqid, () => {
+    const key = handle.toString('hex');
+    const entry = handles.get(key);
+    if (entry && entry.fd !== undefined) {
+      fs.closeSync(entry.fd);
+    }
+    handles.delete(key);
+    sftp.status(reqid, STATUS_CODE.OK);
+  }));
+
+  sftp.on('MKDIR', (reqid, remotePath) => run(reqid, () => {
+    fs.mkdirSync(local(remotePath));
+    sftp.status(reqid, STATUS_CODE.OK);
+  }));
+
+  sftp.on('REMOVE', (reqid, remotePath) => run(reqid, () => {
+    fs.unlinkSync(local(remotePath));
+    sftp.status(reqid, STATUS_CODE.OK);
+  }));
+
+  sftp.on('RENAME', (reqid, oldPath, newPath) => run(reqid, () => {
+    fs.renameSync(local(oldPath), local(newPath));
+    sftp.status(reqid, STATUS_CODE.OK);
+  }));
+
+  for (const event of ['SETSTAT', 'FSETSTAT']) {
+    sftp.on(event, reqid => sftp.status(reqid, STATUS_CODE.OK));
+  }
+}
+
+// Through the registry, so the backup files of every database type are recognised
+const sftpDriver = getStorageDriver('sftp');
+
+let tempDir;
+let sftpServer;
+let storageConfig;
+
+before(async () => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lunasdb-sftp-test-'));
+  const root = path.join(tempDir, 'server');
+  fs.mkdirSync(root);
+
+  sftpServer = await startSftpServer(root, { username: 'backup', password: 'sftp-test-password' });
+
+  const knownHostsFile = path.join(tempDir, 'known_hosts');
+  const publicKey = utils.parseKey(sftpServer.hostKey);
+  fs.writeFileSync(knownHostsFile, `[127.0.0.1]:${sftpServer.port} ${publicKey.type} ${publicKey.getPublicSSH().toString('base64')}\n`);
+
+  storageConfig = {
+    type: 'sftp',
+    host: '127.0.0.1',
+    port: sftpServer.port,
+    username: 'backup',
+    password: 'sftp-test-password',
+    path: '/backups/app',
+    knownHostsFile
+  };
+});
+
+after(() => {
+  sftpServer.server.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Write a local backup file and its manifest
+ */
+function writeBackup(fileName, content) {
+  const backupPath = path.join(tempDir, fileName);
+  fs.writeFileSync(backupPath, content);
+  fs.writeFileSync(`${backupPath}.manifest.json`, JSON.stringify({ file: fileName }));
+  return backupPath;
+}
+
+test('saves, lists and deletes backups on an SFTP server', async () => {
+  const older = writeBackup('app_2026-01-01_00-00-00-000.sql.gz', 'older backup');
+  const newer = writeBackup('app_2026-01-02_00-00-00-000.sql.gz', 'newer backup');
+
+  const url = await sftpDriver.save(older, { storage: storageConfig }, `${older}.manifest.json`);
+  assert.equal(url, `sftp://127.0.0.1:${sftpServer.port}/backups/app/app_2026-01-01_00-00-00-000.sql.gz`);
+  await sftpDriver.save(newer, { storage: storageConfig }, `${newer}.manifest.json`);
+
+  const stored = path.join(tempDir, 'server', 'backups', 'app');
+  assert.deepEqual(fs.readdirSync(stored).sort(), [
+    'app_2026-01-01_00-00-00-000.sql.gz',
+    'app_2026-01-01_00-00-00-000.sql.gz.manifest.json',
+    'app_2026-01-02_00-00-00-000.sql.gz',
+    'app_2026-01-02_00-00-00-000.sql.gz.manifest.json'
+  ]);
+  assert.equal(fs.readFileSync(path.join(stored, 'app_2026-01-02_00-00-00-000.sql.gz'), 'utf8'), 'newer backup');
+
+  const backups = await sftpDriver.list(storageConfig, 'app');
+  assert.deepEqual(backups.map(backup => backup.name).sort(), [
+    'app_2026-01-01_00-00-00-000.sql.gz',
+    'app_2026-01-02_00-00-00-000.sql.gz'
+  ]);
+  assert.equal(backups.find(backup => backup.name === 'app_2026-01-02_00-00-00-000.sql.gz').size, 'newer backup'.length);
+
+  await sftpDriver.delete('app_2026-01-01_00-00-00-000.sql.gz', { storage: storageConfig });
+  assert.deepEqual(fs.readdirSync(stored).sort(), [
+    'app_2026-01-02_00-00-00-000.sql.gz',
+    'app_2026-01-02_00-00-00-000.sql.gz.manifest.json'
+  ]);
+});
+
+test('downloads a stored backup', async () => {
+  const backupPath = writeBackup('app_2026-01-03_00-00-00-000.sql.gz', 'backup to download');
+  await sftpDriver.save(backupPath, { storage: storageConfig });
+
+  const destination = path.join(tempDir, 'downloaded.sql.gz');
+  await sftpDriver.download('app_2026-01-03_00-00-00-000.sql.gz', { storage: storageConfig }, destination);
+  assert.equal(fs.readFileSync(destination, 'utf8'), 'backup to download');
+});
+
+test('lists no backups when the storage directory does not exist', async () => {
+  assert.deepEqual(await sftpDriver.list({ ...storageConfig, path: '/missing' }, 'app'), []);
+});
+
+test('refuses a server missing from known_hosts', async () => {
+  const knownHostsFile = path.join(tempDir, 'other_known_hosts');
+  fs.writeFileSync(knownHostsFile, 'example.com ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIKq3\n');
+
+  await assert.rejects(
+    sftpDriver.list({ ...storageConfig, knownHostsFile }, 'app'),
+    /is not in known_hosts file/
+  );
+});
+
+test('rejects a configuration whose server is missing from known_hosts', () => {
+  assert.doesNotThrow(() => sftpDriver.validate('app', storageConfig, 'storage[0]'));
+
+  const knownHostsFile = path.join(tempDir, 'empty_known_hosts');
+  fs.writeFileSync(knownHostsFile, '');
+  assert.throws(
+    () => sftpDriver.validate('app', { ...storageConfig, knownHostsFile }, 'storage[0]'),
+    /Database "app" with SFTP storage\[0\]: Host \[127\.0\.0\.1\]:\d+ is not in known_hosts file/
+  );
+});
+
+test('streams a backup to a partial file renamed on commit', async () => {
+  const target = sftpDriver.createWriteTarget('app_2026-01-04_00-00-00-000.sql.gz', { storage: storageConfig });
+  target.stream.end('streamed backup');
+
+  await target.commit('{}');
+  const stored = path.join(tempDir, 'server', 'backups', 'app');
+  assert.equal(fs.readFileSync(path.join(stored, 'app_2026-01-04_00-00-00-000.sql.gz'), 'utf8'), 'streamed backup');
+  assert.ok(fs.existsSync(path.join(stored, 'app_2026-01-04_00-00-00-000.sql.gz.manifest.json')));
+  assert.ok(!fs.existsSync(path.join(stored, 'app_2026-01-04_00-00-00-000.sql.gz.partial')));
+});
+
+test('fails the stream of an unreachable server instead of stalling it', async () => {
+  const target = sftpDriver.createWriteTarget('app_2026-01-05_00-00-00-000.sql.gz', { storage: { ...storageConfig, port: 1, strictHostKeyChecking: false } });
+
+  await new Promise((resolve) => target.stream.on('error', resolve));
+  assert.ok(target.stream.destroyed);
+  await target.abort();
+});